@@ -0,0 +1,180 @@
+/**
+ * ChatAnalytics - Activity statistics on top of StateManager.calculateStats
+ * Messages per participant, hour/weekday heatmap, messages per month, longest
+ * silences, most active days and median reply times. Recomputed whenever the
+ * StateManager's messages or filter change.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+export class ChatAnalytics {
+    /**
+     * @param {StateManager} stateManager
+     * @param {Object} [options]
+     * @param {number} [options.topCount=5] - Entries kept for silences and active days
+     * @param {number} [options.maxReplyGap=12h] - Longer gaps start a new conversation instead of counting as a reply
+     */
+    constructor(stateManager, options = {}) {
+        this.stateManager = stateManager;
+        this.topCount = options.topCount || 5;
+        this.maxReplyGap = options.maxReplyGap || 12 * HOUR;
+    }
+
+    /**
+     * Call back with fresh analytics now and after every messages:changed / filter:applied
+     * Returns unsubscribe function
+     */
+    watch(callback) {
+        const update = ({ messages }) => callback(this.compute(messages));
+        const unsubscribers = [
+            this.stateManager.subscribe('messages:changed', update),
+            this.stateManager.subscribe('filter:applied', update)
+        ];
+
+        callback(this.compute(this.stateManager.getFilteredMessages()));
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Compute analytics for a list of messages
+     * Day, hour and month buckets use local time, like the viewer.
+     */
+    compute(messages) {
+        const summary = this.stateManager.calculateStats(messages);
+        const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0)); // [weekday][hour], Sunday first
+        const participants = new Map();
+        const days = new Map();
+        const months = new Map();
+        const timeline = [];
+
+        for (const msg of messages) {
+            const isSystem = msg.isSystem || msg.sender === 'System' || !msg.sender;
+
+            if (!isSystem) {
+                if (!participants.has(msg.sender)) {
+                    participants.set(msg.sender, { sender: msg.sender, messages: 0, mediaMessages: 0, replyTimes: [] });
+                }
+                const participant = participants.get(msg.sender);
+                participant.messages++;
+                if (msg.hasMedia) participant.mediaMessages++;
+            }
+
+            if (!msg.date) continue;
+            const date = new Date(msg.date);
+            if (isNaN(date.getTime())) continue;
+
+            heatmap[date.getDay()][date.getHours()]++;
+            const dayKey = this.getDayKey(date);
+            days.set(dayKey, (days.get(dayKey) || 0) + 1);
+            const monthKey = dayKey.slice(0, 7);
+            months.set(monthKey, (months.get(monthKey) || 0) + 1);
+
+            if (!isSystem) {
+                timeline.push({ time: date.getTime(), sender: msg.sender });
+            }
+        }
+
+        timeline.sort((a, b) => a.time - b.time);
+        const { silences, replyTimes } = this.scanTimeline(timeline, participants);
+
+        const senderTotal = Array.from(participants.values()).reduce((sum, p) => sum + p.messages, 0);
+        const byParticipant = Array.from(participants.values())
+            .map(({ replyTimes: times, ...p }) => ({
+                ...p,
+                share: senderTotal ? p.messages / senderTotal : 0,
+                medianReplyTime: this.median(times)
+            }))
+            .sort((a, b) => (b.messages - a.messages) || a.sender.localeCompare(b.sender));
+
+        const mostActiveDays = Array.from(days, ([day, count]) => ({ day, count }))
+            .sort((a, b) => (b.count - a.count) || a.day.localeCompare(b.day))
+            .slice(0, this.topCount);
+
+        return {
+            summary,
+            participants: byParticipant,
+            heatmap,
+            perMonth: this.fillMonths(months),
+            longestSilences: silences,
+            mostActiveDays,
+            medianReplyTime: this.median(replyTimes)
+        };
+    }
+
+    /**
+     * Walk the chronological sender timeline once for gaps and replies
+     * A reply is the first message after someone else's, within maxReplyGap.
+     */
+    scanTimeline(timeline, participants) {
+        const silences = [];
+        const replyTimes = [];
+
+        for (let i = 1; i < timeline.length; i++) {
+            const prev = timeline[i - 1];
+            const curr = timeline[i];
+            const gap = curr.time - prev.time;
+
+            if (gap > 0) {
+                this.keepLongest(silences, { start: new Date(prev.time), end: new Date(curr.time), duration: gap });
+            }
+
+            if (curr.sender !== prev.sender && gap <= this.maxReplyGap) {
+                replyTimes.push(gap);
+                participants.get(curr.sender).replyTimes.push(gap);
+            }
+        }
+
+        return { silences, replyTimes };
+    }
+
+    /**
+     * Insert a silence into the longest ones so far, longest first, keeping
+     * topCount; silences come in chronological order, so on a tie the earlier stays ahead
+     */
+    keepLongest(silences, silence) {
+        let i = silences.length;
+        while (i > 0 && silences[i - 1].duration < silence.duration) i--;
+        if (i >= this.topCount) return;
+        silences.splice(i, 0, silence);
+        if (silences.length > this.topCount) silences.pop();
+    }
+
+    /**
+     * Month counts from the first to the last month, including empty months
+     */
+    fillMonths(months) {
+        if (months.size === 0) return [];
+
+        const keys = Array.from(months.keys()).sort();
+        let [year, month] = keys[0].split('-').map(Number);
+        const last = keys[keys.length - 1];
+        const result = [];
+
+        while (true) {
+            const key = `${year}-${String(month).padStart(2, '0')}`;
+            result.push({ month: key, count: months.get(key) || 0 });
+            if (key === last) break;
+            if (++month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+
+        return result;
+    }
+
+    getDayKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Median in milliseconds, null for no values
+     */
+    median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
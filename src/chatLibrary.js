@@ -0,0 +1,206 @@
+import { ZipHandler } from './zipHandler.js';
+import { MessageParser } from './messageParser.js';
+import { StateManager } from './stateManager.js';
+import { ParticipantIdentity } from './participantIdentity.js';
+
+/**
+ * ChatLibrary - Several exports loaded side by side
+ * Each chat owns its ZipHandler, parse result and StateManager, so media,
+ * filters and scroll position stay separate when switching between chats.
+ */
+export class ChatLibrary {
+    constructor(options = {}) {
+        this.zipOptions = options.zipOptions || {};
+        this.parserOptions = options.parserOptions || {};
+        this.chats = new Map(); // id -> chat, in load order
+        this.activeId = null;
+        this.nextId = 1;
+        this.identity = options.identity || new ParticipantIdentity();
+
+        // Event subscribers: Map<eventName, Set<callback>>
+        this.subscribers = new Map();
+    }
+
+    /**
+     * Subscribe to library changes
+     * Returns unsubscribe function
+     */
+    subscribe(event, callback) {
+        if (!this.subscribers.has(event)) {
+            this.subscribers.set(event, new Set());
+        }
+        this.subscribers.get(event).add(callback);
+
+        return () => {
+            const callbacks = this.subscribers.get(event);
+            if (callbacks) {
+                callbacks.delete(callback);
+                if (callbacks.size === 0) {
+                    this.subscribers.delete(event);
+                }
+            }
+        };
+    }
+
+    /**
+     * Emit event to all subscribers
+     */
+    emit(event, data) {
+        const callbacks = this.subscribers.get(event);
+        if (callbacks) {
+            callbacks.forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} subscriber:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Load a ZIP export as a new chat
+     * The first chat loaded becomes the active one.
+     * @param {Blob} file - WhatsApp export ZIP
+     * @param {string} [name] - Label shown in the chat switcher
+     */
+    async addChat(file, name = file && file.name) {
+        const zipHandler = new ZipHandler(this.zipOptions);
+        await zipHandler.loadZip(file);
+
+        if (!zipHandler.chatContent) {
+            zipHandler.clear();
+            throw new Error(`No chat transcript found in ${name || 'ZIP'}`);
+        }
+
+        const parser = new MessageParser(this.parserOptions);
+        const result = parser.parse(zipHandler.chatContent);
+
+        const stateManager = new StateManager();
+        stateManager.setMessages(result.messages);
+
+        const chatName = name || zipHandler.chatFilename;
+        const chat = {
+            id: this.nextId++,
+            name: chatName,
+            zipHandler,
+            stateManager,
+            parseStats: result.stats,
+            failedLines: result.failedLines,
+            scrollTop: 0,
+            // Whose messages sit on the right: { sender, source } or null
+            me: this.identity.resolve(chatName, result.messages, [chatName, zipHandler.chatFilename])
+        };
+        this.chats.set(chat.id, chat);
+        this.emit('chat:added', { chat });
+
+        if (this.activeId === null) {
+            this.switchTo(chat.id);
+        }
+        return chat;
+    }
+
+    /**
+     * Make another chat the active one
+     * @param {number} id - Chat to show
+     * @param {Object} [options]
+     * @param {number} [options.scrollTop] - Scroll position of the chat being left
+     * @returns {Object} The chat now active
+     */
+    switchTo(id, options = {}) {
+        const chat = this.chats.get(id);
+        if (!chat) {
+            throw new Error(`Unknown chat: ${id}`);
+        }
+
+        const previous = this.getActiveChat();
+        if (previous && typeof options.scrollTop === 'number') {
+            previous.scrollTop = options.scrollTop;
+        }
+        if (previous === chat) {
+            return chat;
+        }
+
+        this.activeId = id;
+        this.emit('chat:switched', { chat, previous });
+        return chat;
+    }
+
+    /**
+     * Unload a chat and release its media
+     * When the active chat is removed, the next one (or the previous) takes over.
+     */
+    removeChat(id) {
+        const chat = this.chats.get(id);
+        if (!chat) {
+            return false;
+        }
+
+        const ids = Array.from(this.chats.keys());
+        const index = ids.indexOf(id);
+
+        chat.zipHandler.clear();
+        chat.stateManager.clear();
+        this.chats.delete(id);
+        this.emit('chat:removed', { chat });
+
+        if (this.activeId === id) {
+            this.activeId = null;
+            const nextId = ids[index + 1] !== undefined ? ids[index + 1] : ids[index - 1];
+            if (nextId !== undefined) {
+                this.switchTo(nextId);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Choose which participant of a chat is "me", remembered across visits
+     * @param {number} id - Chat
+     * @param {string|null} sender - Participant, or null for nobody
+     */
+    setMe(id, sender) {
+        const chat = this.chats.get(id);
+        if (!chat) {
+            throw new Error(`Unknown chat: ${id}`);
+        }
+
+        chat.me = sender ? { sender, source: 'chosen' } : null;
+        this.identity.remember(chat.name, sender);
+        this.emit('chat:identity', { chat });
+        return chat.me;
+    }
+
+    getChat(id) {
+        return this.chats.get(id) || null;
+    }
+
+    getActiveChat() {
+        return this.activeId === null ? null : this.chats.get(this.activeId);
+    }
+
+    /**
+     * Summaries for the chat switcher, in load order
+     */
+    listChats() {
+        return Array.from(this.chats.values()).map(chat => ({
+            id: chat.id,
+            name: chat.name,
+            messageCount: chat.stateManager.getAllMessages().length,
+            active: chat.id === this.activeId
+        }));
+    }
+
+    /**
+     * Unload every chat
+     */
+    clear() {
+        for (const chat of this.chats.values()) {
+            chat.zipHandler.clear();
+            chat.stateManager.clear();
+        }
+        this.chats.clear();
+        this.activeId = null;
+        this.emit('library:cleared', {});
+    }
+}
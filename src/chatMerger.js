@@ -0,0 +1,191 @@
+/**
+ * ChatMerger - Combines overlapping exports of the same chat into one timeline
+ * Messages are lined up by timestamp, sender and text. Duplicates are dropped,
+ * media from every archive is pooled and disagreements are reported as conflicts.
+ * An export made without media drops captions, so its bare "<Media omitted>"
+ * also matches a captioned attachment sent at the same time by the same sender.
+ */
+
+// What an export writes in place of, or next to, an attachment; the rest is the caption
+const MEDIA_PLACEHOLDER = /<Media omitted>|\b(?:image|video|audio|GIF|sticker|document) omitted|\(file attached\)/gi;
+
+export class ChatMerger {
+    /**
+     * Merge parsed exports
+     * @param {Array<{name: string, messages: Array, mediaFiles?: string[]}>} sources - Oldest export first
+     * @returns {{messages: Array, media: Map<string, string>, conflicts: Array, stats: Object}}
+     */
+    merge(sources) {
+        if (!Array.isArray(sources) || sources.length === 0) {
+            throw new Error('No chats to merge');
+        }
+
+        const records = [];
+        const index = new Map(); // identity hash -> records sharing it
+        const slots = new Map(); // "time|sender" -> Map<source name, identities>
+        const mediaSlots = new Map(); // "time|sender" -> records with an attachment
+        let inputMessages = 0;
+        let duplicates = 0;
+        let mediaRecovered = 0;
+
+        for (const source of sources) {
+            // The same message can legitimately repeat within one export ("ok", "ok"),
+            // so the n-th repeat only matches the n-th repeat of another export
+            const occurrences = new Map();
+
+            for (const message of source.messages) {
+                inputMessages++;
+                const identity = this.getIdentity(message);
+                const occurrence = occurrences.get(identity) || 0;
+                occurrences.set(identity, occurrence + 1);
+
+                const slotKey = this.getSlotKey(message);
+                if (!slots.has(slotKey)) {
+                    slots.set(slotKey, new Map());
+                }
+                const slot = slots.get(slotKey);
+                if (!slot.has(source.name)) {
+                    slot.set(source.name, []);
+                }
+                slot.get(source.name).push(message);
+
+                const id = this.hashIdentity(identity);
+                const bucket = index.get(id) || [];
+                let existing = bucket.find(r => r.identity === identity && r.occurrence === occurrence);
+                if (!existing && message.hasMedia) {
+                    existing = this.findMediaTwin(mediaSlots.get(slotKey), message, source.name);
+                }
+
+                if (existing) {
+                    duplicates++;
+                    existing.sources.add(source.name);
+                    // Prefer the copy whose export kept the attachment
+                    if (!existing.message.mediaFilename && message.mediaFilename) {
+                        existing.message = message;
+                        mediaRecovered++;
+                    }
+                    continue;
+                }
+
+                const record = { message, identity, occurrence, order: records.length, sources: new Set([source.name]) };
+                records.push(record);
+                bucket.push(record);
+                index.set(id, bucket);
+                if (message.hasMedia) {
+                    if (!mediaSlots.has(slotKey)) mediaSlots.set(slotKey, []);
+                    mediaSlots.get(slotKey).push(record);
+                }
+            }
+        }
+
+        records.sort((a, b) => (this.getTime(a.message) - this.getTime(b.message)) || (a.order - b.order));
+
+        const media = new Map(); // filename -> name of the first export that has it
+        for (const source of sources) {
+            for (const filename of source.mediaFiles || []) {
+                if (!media.has(filename)) {
+                    media.set(filename, source.name);
+                }
+            }
+        }
+
+        const conflicts = this.findConflicts(slots);
+
+        return {
+            messages: records.map(r => r.message),
+            media,
+            conflicts,
+            stats: {
+                sources: sources.length,
+                inputMessages,
+                mergedMessages: records.length,
+                duplicates,
+                mediaRecovered,
+                conflicts: conflicts.length
+            }
+        };
+    }
+
+    /**
+     * Slots where exports covering the same timestamp and sender disagree on the text
+     */
+    findConflicts(slots) {
+        const conflicts = [];
+
+        for (const bySource of slots.values()) {
+            if (bySource.size < 2) continue;
+
+            // A bare placeholder can stand for any attachment of the slot, caption or not
+            const all = Array.from(bySource.values()).flat();
+            const captionBlind = all.some(m => this.isBarePlaceholder(m));
+            const identityOf = m => (captionBlind && m.hasMedia ? `${this.getSlotKey(m)}|<media>` : this.getIdentity(m));
+
+            const variants = Array.from(bySource, ([source, messages]) => ({
+                source,
+                texts: messages.map(m => m.text),
+                identities: messages.map(identityOf).sort().join('\n')
+            }));
+            if (variants.every(v => v.identities === variants[0].identities)) continue;
+
+            const first = bySource.values().next().value[0];
+            conflicts.push({
+                date: first.date,
+                sender: first.sender,
+                variants: variants.map(({ source, texts }) => ({ source, texts }))
+            });
+        }
+
+        return conflicts.sort((a, b) => this.getTime(a) - this.getTime(b));
+    }
+
+    /**
+     * What makes two messages the same message
+     * Attachment names are left out: an export without media says "<Media omitted>"
+     * where one with media names the file. Only the caption is compared.
+     */
+    getIdentity(message) {
+        const text = message.hasMedia ? '<media>' + this.getCaption(message) : (message.text || '').trim();
+        return `${this.getSlotKey(message)}|${text}`;
+    }
+
+    getCaption(message) {
+        return (message.text || '').replace(MEDIA_PLACEHOLDER, '').trim();
+    }
+
+    // "<Media omitted>" with nothing else: the export dropped the attachment and its caption
+    isBarePlaceholder(message) {
+        return message.hasMedia && message.mediaType === 'omitted' && !this.getCaption(message);
+    }
+
+    /**
+     * A not yet matched attachment from another export where one side is a bare
+     * placeholder and the other is not, or null
+     * @param {Array} [candidates] - Records with an attachment at the message's time and sender
+     */
+    findMediaTwin(candidates, message, sourceName) {
+        if (!candidates) return null;
+        const bare = this.isBarePlaceholder(message);
+        return candidates.find(r => !r.sources.has(sourceName) && this.isBarePlaceholder(r.message) !== bare) || null;
+    }
+
+    getSlotKey(message) {
+        return `${this.getTime(message)}|${message.sender || ''}`;
+    }
+
+    getTime(message) {
+        return message.date ? new Date(message.date).getTime() : 0;
+    }
+
+    /**
+     * 32-bit string hash of an identity, to bucket possible duplicates; not
+     * the viewer's message ids, which hash text, sender and time
+     */
+    hashIdentity(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) - hash) + str.charCodeAt(i);
+            hash = hash & hash; // Convert to 32-bit integer
+        }
+        return Math.abs(hash);
+    }
+}
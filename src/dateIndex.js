@@ -0,0 +1,148 @@
+/**
+ * DateIndex - Messages by time, for jumping around a chat in O(log n)
+ * List positions are kept sorted by timestamp, so exports whose clock went
+ * backwards (a phone's time corrected mid-chat) still find the right
+ * message. Undated messages are left out; days and months are local time.
+ */
+
+const UNITS = ['day', 'month'];
+
+export class DateIndex {
+    /**
+     * @param {Array} [messages] - Items with an optional `date`, by list position
+     */
+    constructor(messages = []) {
+        this.times = [];
+        this.positions = [];
+        this.sorted = true;
+        messages.forEach((msg, position) => this.add(position, msg.date));
+    }
+
+    get size() {
+        return this.times.length;
+    }
+
+    /**
+     * Index a message; positions are added in increasing order
+     */
+    add(position, date) {
+        const time = date ? date.getTime() : NaN;
+        if (isNaN(time)) return;
+        if (this.times.length && time < this.times[this.times.length - 1]) {
+            this.sorted = false;
+        }
+        this.times.push(time);
+        this.positions.push(position);
+    }
+
+    // Out-of-order timestamps are sorted once, at the next lookup; equal
+    // times keep their list order
+    ensureSorted() {
+        if (this.sorted) return;
+        const order = this.times.map((_, i) => i)
+            .sort((a, b) => this.times[a] - this.times[b] || this.positions[a] - this.positions[b]);
+        this.times = order.map(i => this.times[i]);
+        this.positions = order.map(i => this.positions[i]);
+        this.sorted = true;
+    }
+
+    // First index whose time is >= time (or > time when `after`)
+    bound(time, after = false) {
+        this.ensureSorted();
+        let lo = 0;
+        let hi = this.times.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.times[mid] < time || (after && this.times[mid] === time)) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * Position of the earliest message at or after a date, or -1
+     */
+    firstAtOrAfter(date) {
+        const k = this.bound(date.getTime());
+        return k < this.size ? this.positions[k] : -1;
+    }
+
+    /**
+     * Position of the latest message at or before a date, or -1
+     */
+    lastAtOrBefore(date) {
+        const k = this.bound(date.getTime(), true);
+        return k > 0 ? this.positions[k - 1] : -1;
+    }
+
+    /**
+     * Position of the message closest in time to a date, the later one on a
+     * tie; -1 when nothing is dated
+     */
+    nearest(date) {
+        const time = date.getTime();
+        const k = this.bound(time);
+        if (k === 0) return this.size ? this.positions[0] : -1;
+        if (k === this.size) return this.positions[k - 1];
+        return time - this.times[k - 1] < this.times[k] - time ? this.positions[k - 1] : this.positions[k];
+    }
+
+    /**
+     * Position of the earliest message on the local day of a date, or -1
+     */
+    firstOnDay(date) {
+        const k = this.bound(DateIndex.startOf(date, 'day').getTime());
+        const end = DateIndex.startOf(date, 'day', 1).getTime();
+        return k < this.size && this.times[k] < end ? this.positions[k] : -1;
+    }
+
+    /**
+     * Positions of the earliest and the latest message, -1 when nothing is dated
+     */
+    earliest() {
+        this.ensureSorted();
+        return this.size ? this.positions[0] : -1;
+    }
+
+    latest() {
+        this.ensureSorted();
+        return this.size ? this.positions[this.size - 1] : -1;
+    }
+
+    /**
+     * First message of the next (direction 1) or previous (-1) day or month
+     * that has messages, seen from a date; empty days and months are skipped
+     * @param {'day'|'month'} unit
+     * @returns {number} - Position, or -1 past either end
+     */
+    stepFrom(date, unit, direction) {
+        if (!UNITS.includes(unit)) {
+            throw new Error(`Unknown date unit: ${unit}`);
+        }
+
+        let start;
+        if (direction > 0) {
+            start = DateIndex.startOf(date, unit, 1);
+        } else {
+            // The latest message before this day or month tells which one comes before
+            const k = this.bound(DateIndex.startOf(date, unit).getTime()) - 1;
+            if (k < 0) return -1;
+            start = DateIndex.startOf(new Date(this.times[k]), unit);
+        }
+
+        const k = this.bound(start.getTime());
+        return k < this.size ? this.positions[k] : -1;
+    }
+
+    /**
+     * Local midnight starting the day or month of a date, `offset` units later
+     */
+    static startOf(date, unit, offset = 0) {
+        return unit === 'month'
+            ? new Date(date.getFullYear(), date.getMonth() + offset, 1)
+            : new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+    }
+}
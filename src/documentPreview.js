@@ -0,0 +1,210 @@
+/**
+ * DocumentPreview - In-app preview of PDF and plain-text attachments
+ * Text is decoded after detecting its encoding; PDFs are handed to the
+ * browser's own viewer through the file's blob URL, so nothing leaves the
+ * device. Size, page count and encoding are read from the file's bytes.
+ */
+
+const TEXT_EXTENSIONS = ['txt', 'csv', 'log', 'md', 'json', 'xml'];
+
+// Bytes of text shown; longer files are cut before decoding so a huge log
+// doesn't freeze the page
+export const TEXT_PREVIEW_LIMIT = 512 * 1024;
+
+export class DocumentPreview {
+    /**
+     * How a file can be previewed
+     * @returns {'pdf'|'text'|null}
+     */
+    static previewKind(filename) {
+        const ext = String(filename || '').toLowerCase().split('.').pop();
+        if (ext === 'pdf') return 'pdf';
+        if (TEXT_EXTENSIONS.includes(ext)) return 'text';
+        return null;
+    }
+
+    /**
+     * Guess a text file's encoding: byte order mark, then UTF-16 without a
+     * mark (every other byte zero), then UTF-8 if the bytes are valid UTF-8,
+     * otherwise windows-1252, which decodes any byte
+     * @param {Uint8Array} bytes
+     * @param {boolean} [partial=false] - The bytes were cut from a longer file, so
+     *   the last character may be incomplete
+     * @returns {'utf-8'|'utf-16le'|'utf-16be'|'windows-1252'}
+     */
+    detectEncoding(bytes, partial = false) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        const sample = Math.min(bytes.length, 1024) & ~1;
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+        const pairs = sample / 2;
+        if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros === 0) return 'utf-16le';
+        if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros === 0) return 'utf-16be';
+
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: partial });
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1252';
+        }
+    }
+
+    /**
+     * Decode the first TEXT_PREVIEW_LIMIT bytes of a text file in its detected encoding
+     * @returns {{text: string, encoding: string, truncated: boolean}}
+     */
+    decodeText(bytes) {
+        const truncated = bytes.length > TEXT_PREVIEW_LIMIT;
+        const shown = truncated ? bytes.subarray(0, TEXT_PREVIEW_LIMIT) : bytes;
+        const encoding = this.detectEncoding(shown, truncated);
+        // Streaming drops a character cut in half at the limit instead of garbling it
+        const text = new TextDecoder(encoding).decode(shown, { stream: truncated });
+        return { text, encoding, truncated };
+    }
+
+    /**
+     * PDF version and page count, read from the raw file
+     * The page count comes from the page tree's /Count, or else from counting
+     * page objects; files that keep both in compressed object streams give null.
+     * @returns {{version: string|null, pageCount: number|null}}
+     */
+    pdfInfo(bytes) {
+        // latin1 keeps one character per byte, so the PDF syntax survives intact
+        const source = new TextDecoder('latin1').decode(bytes);
+        const header = source.slice(0, 1024).match(/%PDF-(\d\.\d)/);
+
+        let pageCount = 0;
+        const treePattern = /\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g;
+        for (const match of source.matchAll(treePattern)) {
+            pageCount = Math.max(pageCount, Number(match[1] || match[2]));
+        }
+        if (pageCount === 0) {
+            pageCount = (source.match(/\/Type\s*\/Page(?![A-Za-z])/g) || []).length;
+        }
+
+        return {
+            version: header ? header[1] : null,
+            pageCount: pageCount || null
+        };
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        const units = ['KB', 'MB', 'GB'];
+        let size = bytes / 1024;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${parseFloat(size.toFixed(1))} ${units[unit]}`;
+    }
+
+    /**
+     * Metadata line shown above the preview, e.g. "PDF 1.7 · 12 pages · 1.2 MB"
+     */
+    describe(kind, bytes, details) {
+        const parts = [];
+        if (kind === 'pdf') {
+            parts.push(details.version ? `PDF ${details.version}` : 'PDF');
+            if (details.pageCount) parts.push(details.pageCount === 1 ? '1 page' : `${details.pageCount} pages`);
+        } else {
+            parts.push(details.encoding.toUpperCase());
+            // Lines of the decoded part; "+" when the rest was cut
+            const lines = details.text ? details.text.split('\n').length : 0;
+            parts.push(lines === 1 && !details.truncated ? '1 line' : `${lines}${details.truncated ? '+' : ''} lines`);
+        }
+        parts.push(this.formatSize(bytes.length));
+        return parts.join(' · ');
+    }
+
+    /**
+     * Create the preview panel: a header with name, metadata, download and
+     * close, over the PDF viewer or the decoded text
+     * @param {string} filename - Name of the document
+     * @param {string} url - Blob URL of the document
+     * @param {Uint8Array} bytes - Contents of the document
+     * @param {Function} [onClose] - Called after the panel is removed
+     * @returns {HTMLElement} - Panel to append to the page
+     */
+    createPanel(filename, url, bytes, onClose = null) {
+        const kind = DocumentPreview.previewKind(filename);
+        if (!kind) {
+            throw new Error(`No preview for ${filename}`);
+        }
+
+        const details = kind === 'pdf' ? this.pdfInfo(bytes) : this.decodeText(bytes);
+
+        const overlay = document.createElement('div');
+        overlay.className = `document-preview document-preview-${kind}`;
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-label', filename);
+        overlay.tabIndex = -1;
+
+        const panel = document.createElement('div');
+        panel.className = 'document-preview-panel';
+
+        const header = document.createElement('div');
+        header.className = 'document-preview-header';
+        const name = document.createElement('span');
+        name.className = 'document-preview-name';
+        name.textContent = filename;
+        const meta = document.createElement('span');
+        meta.className = 'document-preview-meta';
+        meta.textContent = this.describe(kind, bytes, details);
+        const download = document.createElement('a');
+        download.className = 'media-download';
+        download.href = url;
+        download.download = filename;
+        download.textContent = '⬇';
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'document-preview-close';
+        close.setAttribute('aria-label', 'Close preview');
+        close.textContent = '✕';
+        header.append(name, meta, download, close);
+        panel.appendChild(header);
+
+        if (kind === 'pdf') {
+            // The built-in viewer draws the pages; "pagemode=thumbs" opens its
+            // thumbnail sidebar in viewers that support it (Firefox)
+            const frame = document.createElement('iframe');
+            frame.className = 'document-preview-frame';
+            frame.title = filename;
+            frame.src = `${url}#pagemode=thumbs`;
+            panel.appendChild(frame);
+        } else {
+            const text = document.createElement('pre');
+            text.className = 'document-preview-text';
+            text.textContent = details.text;
+            panel.appendChild(text);
+            if (details.truncated) {
+                const note = document.createElement('div');
+                note.className = 'document-preview-note';
+                note.textContent = 'Preview truncated; download the file to see all of it.';
+                panel.appendChild(note);
+            }
+        }
+
+        overlay.appendChild(panel);
+
+        const dismiss = () => {
+            if (!overlay.parentNode) return;
+            overlay.remove();
+            if (onClose) onClose();
+        };
+        close.addEventListener('click', dismiss);
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) dismiss(); });
+        overlay.addEventListener('keydown', (e) => { if (e.key === 'Escape') dismiss(); });
+
+        return overlay;
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * HeightIndex - Offsets of variable-height list items in O(log n)
+ * Items not measured yet count as the average of those that are, so offsets
+ * shift as measurements come in. Two Fenwick trees hold the measured heights
+ * and how many items were measured; the offset of an item is their prefix
+ * sums plus the estimate for every unmeasured item before it.
+ */
+export class HeightIndex {
+    /**
+     * @param {number} count - Number of items
+     * @param {Object} [options]
+     * @param {number} [options.estimate] - Height of unmeasured items until one is measured
+     * @param {number} [options.minEstimate] - Lower bound for the average
+     */
+    constructor(count, { estimate = 50, minEstimate = 0 } = {}) {
+        this.count = count;
+        this.initialEstimate = estimate;
+        this.minEstimate = minEstimate;
+        this.heights = new Float64Array(count); // 0 = not measured
+        this.sums = new Float64Array(count + 1); // Fenwick tree, 1-based
+        this.counts = new Uint32Array(count + 1);
+        this.measured = 0;
+        this.measuredSum = 0;
+    }
+
+    /**
+     * Height used for items that haven't been measured
+     */
+    get estimate() {
+        if (!this.measured) return this.initialEstimate;
+        return Math.max(this.minEstimate, Math.round(this.measuredSum / this.measured));
+    }
+
+    isMeasured(position) {
+        return this.heights[position] > 0;
+    }
+
+    /**
+     * Measured height of an item, or the estimate
+     */
+    get(position) {
+        return this.heights[position] || this.estimate;
+    }
+
+    /**
+     * Record an item's measured height
+     */
+    set(position, height) {
+        if (position < 0 || position >= this.count) {
+            throw new Error(`Position ${position} out of range`);
+        }
+        if (!(height > 0)) {
+            throw new Error(`Invalid height ${height}`);
+        }
+
+        const previous = this.heights[position];
+        if (previous === height) return;
+
+        this.heights[position] = height;
+        this.measuredSum += height - previous;
+        if (!previous) this.measured++;
+
+        for (let i = position + 1; i <= this.count; i += i & -i) {
+            this.sums[i] += height - previous;
+            if (!previous) this.counts[i]++;
+        }
+    }
+
+    /**
+     * Distance from the top of the list to the top of an item; offsetOf(count)
+     * is the height of the whole list
+     */
+    offsetOf(position) {
+        const end = Math.min(Math.max(position, 0), this.count);
+        let sum = 0;
+        let measured = 0;
+        for (let i = end; i > 0; i -= i & -i) {
+            sum += this.sums[i];
+            measured += this.counts[i];
+        }
+        return sum + (end - measured) * this.estimate;
+    }
+
+    total() {
+        return this.offsetOf(this.count);
+    }
+
+    /**
+     * Item covering an offset, clamped to the first and last item; 0 when empty
+     */
+    positionAt(offset) {
+        if (this.count === 0) return 0;
+
+        const estimate = this.estimate;
+        let position = 0;
+        let top = 0;
+        let step = 1;
+        while (step * 2 <= this.count) step *= 2;
+
+        // Descend the tree: node position+step spans the next `step` items
+        for (; step > 0; step >>= 1) {
+            const next = position + step;
+            if (next > this.count) continue;
+            const span = this.sums[next] + (step - this.counts[next]) * estimate;
+            if (top + span <= offset) {
+                position = next;
+                top += span;
+            }
+        }
+
+        return Math.min(position, this.count - 1);
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * MediaGallery - Every attachment of a chat as a browsable collection
+ * Items are the messages' attachments that exist in the archive, in chat
+ * order, each knowing the message it came from so the viewer can jump back.
+ * Filtering by kind and sender, grouping by month and next/previous stepping
+ * for the lightbox live here; building the grid is left to the viewer.
+ */
+
+export const GALLERY_KINDS = ['image', 'video', 'audio', 'document'];
+
+// Kinds the lightbox can show; audio and documents open in the chat instead
+const VIEWABLE_KINDS = ['image', 'video'];
+
+export class MediaGallery {
+    /**
+     * @param {ZipHandler} zipHandler - Archive the attachments are looked up in
+     */
+    constructor(zipHandler) {
+        this.zipHandler = zipHandler;
+    }
+
+    /**
+     * Attachments of the given messages that are in the archive
+     * @param {Array} messages - Parsed messages, in chat order
+     * @returns {Array<{filename: string, kind: string, sender: string, date: Date|null, messageIndex: number}>}
+     */
+    collect(messages) {
+        const available = new Set(this.zipHandler.getMediaList());
+        const items = [];
+
+        messages.forEach((msg, messageIndex) => {
+            if (!msg.mediaFilename || !available.has(msg.mediaFilename)) return;
+            items.push({
+                filename: msg.mediaFilename,
+                kind: MediaGallery.kindOf(msg.mediaType),
+                sender: msg.sender,
+                date: msg.date || null,
+                messageIndex
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * Gallery kind of a parsed media type; contact cards and unknown files are documents
+     */
+    static kindOf(mediaType) {
+        return GALLERY_KINDS.includes(mediaType) ? mediaType : 'document';
+    }
+
+    /**
+     * @param {Array} items - From collect()
+     * @param {Object} [criteria]
+     * @param {string} [criteria.kind] - One of GALLERY_KINDS; empty for all
+     * @param {string} [criteria.sender] - Empty for everyone
+     */
+    filter(items, { kind = '', sender = '' } = {}) {
+        if (kind && !GALLERY_KINDS.includes(kind)) {
+            throw new Error(`Unknown gallery kind: ${kind}`);
+        }
+        return items.filter(item =>
+            (!kind || item.kind === kind) && (!sender || item.sender === sender));
+    }
+
+    /**
+     * Senders who shared media, most items first
+     */
+    senders(items) {
+        const counts = new Map();
+        for (const item of items) {
+            counts.set(item.sender, (counts.get(item.sender) || 0) + 1);
+        }
+        return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    }
+
+    /**
+     * Consecutive runs of items by local month ("2024-03"); undated items form
+     * a group with a null month
+     * @returns {Array<{month: string|null, items: Array}>}
+     */
+    groupByMonth(items) {
+        const groups = [];
+        for (const item of items) {
+            const month = item.date
+                ? `${item.date.getFullYear()}-${String(item.date.getMonth() + 1).padStart(2, '0')}`
+                : null;
+            const last = groups[groups.length - 1];
+            if (last && last.month === month) {
+                last.items.push(item);
+            } else {
+                groups.push({ month, items: [item] });
+            }
+        }
+        return groups;
+    }
+
+    /**
+     * Index of the next (step 1) or previous (step -1) item the lightbox can
+     * show, or -1 at either end
+     */
+    neighbor(items, index, step) {
+        for (let i = index + step; i >= 0 && i < items.length; i += step) {
+            if (VIEWABLE_KINDS.includes(items[i].kind)) return i;
+        }
+        return -1;
+    }
+
+    static isViewable(item) {
+        return VIEWABLE_KINDS.includes(item.kind);
+    }
+}
@@ -1,3 +1,7 @@
+import { VCardParser } from './vCardParser.js';
+import { DocumentPreview } from './documentPreview.js';
+import { VoiceNotePlayer } from './voiceNotePlayer.js';
+
 /**
  * MediaHandler - Creates DOM elements for media files
  * Single responsibility: Transform filename → DOM element
@@ -5,6 +9,20 @@
 export class MediaHandler {
     constructor(zipHandler) {
         this.zipHandler = zipHandler;
+        this.vCardParser = new VCardParser();
+        this.documentPreview = new DocumentPreview();
+        this.voiceNotes = new VoiceNotePlayer({ resolveURL: filename => this.resolveMediaURL(filename) });
+    }
+
+    /**
+     * Blob URL of an archive entry, reading it first from streamed archives
+     * @returns {Promise<string|null>}
+     */
+    async resolveMediaURL(filename) {
+        if (typeof this.zipHandler.loadMediaURL === 'function') {
+            return this.zipHandler.loadMediaURL(filename);
+        }
+        return this.zipHandler.getMediaURL(filename) || null;
     }
 
     /**
@@ -24,6 +42,18 @@ export class MediaHandler {
         // Create element based on type
         const type = this.getMediaType(filename);
         
+        // Streamed archives read the entry first
+        if (!url && typeof this.zipHandler.loadMediaURL === 'function') {
+            return this.createDeferredElement(filename, type);
+        }
+        
+        return this.createElementForType(type, url, filename);
+    }
+
+    /**
+     * Create element for a known media type and URL
+     */
+    createElementForType(type, url, filename) {
         switch (type) {
             case 'image':
                 return this.createImageElement(url, filename);
@@ -33,11 +63,32 @@ export class MediaHandler {
                 return this.createAudioElement(url, filename);
             case 'document':
                 return this.createDocumentElement(url, filename, type);
+            case 'contact':
+                return this.createContactElement(url, filename);
             default:
                 return this.createDocumentElement(url, filename, 'file');
         }
     }
 
+    /**
+     * Create element for a message's structured content: a poll, a shared
+     * location or an attached contact card
+     * @param {Object} message - Parsed message
+     * @returns {HTMLElement|null} - null for other messages
+     */
+    createContentElement(message) {
+        if (message.poll) {
+            return this.createPollElement(message.poll);
+        }
+        if (message.location) {
+            return this.createLocationElement(message.location);
+        }
+        if (message.mediaType === 'contact' && message.mediaFilename) {
+            return this.createMediaElement(message.mediaFilename);
+        }
+        return null;
+    }
+
     /**
      * Get media type from filename
      * @param {string} filename - Name of the file
@@ -52,7 +103,8 @@ export class MediaHandler {
             image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'],
             video: ['mp4', 'mov', 'avi', 'wmv', '3gp', 'mkv', 'webm'],
             audio: ['mp3', 'wav', 'aac', 'm4a', 'opus', 'ogg', 'wma'],
-            document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'vcf']
+            document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt'],
+            contact: ['vcf']
         };
         
         for (const [type, extensions] of Object.entries(types)) {
@@ -64,6 +116,32 @@ export class MediaHandler {
         return 'file';
     }
 
+    /**
+     * Create placeholder that is swapped for the real element once the URL is read
+     */
+    createDeferredElement(filename, type) {
+        const placeholder = document.createElement('div');
+        placeholder.className = `media-container media-${type}`;
+        
+        const loading = document.createElement('div');
+        loading.className = 'media-loading';
+        loading.textContent = 'Loading...';
+        placeholder.appendChild(loading);
+        
+        this.zipHandler.loadMediaURL(filename)
+            .then(url => url ?
+                this.createElementForType(type, url, filename) :
+                this.createMissingElement(filename))
+            .catch(() => this.createMissingElement(filename))
+            .then(element => {
+                if (placeholder.parentNode) {
+                    placeholder.replaceWith(element);
+                }
+            });
+        
+        return placeholder;
+    }
+
     /**
      * Create element for missing media
      */
@@ -159,6 +237,10 @@ export class MediaHandler {
      * Create audio element
      */
     createAudioElement(url, filename) {
+        if (VoiceNotePlayer.isVoiceNote(filename)) {
+            return this.voiceNotes.createView(url, filename);
+        }
+        
         const container = document.createElement('div');
         container.className = 'media-container media-audio';
         
@@ -196,9 +278,169 @@ export class MediaHandler {
             </div>
         `;
         
+        // PDFs and text files open in the preview panel
+        if (DocumentPreview.previewKind(filename) && typeof this.zipHandler.getMediaData === 'function') {
+            const preview = document.createElement('button');
+            preview.type = 'button';
+            preview.className = 'media-preview-button';
+            preview.textContent = 'Preview';
+            preview.addEventListener('click', () => {
+                this.openDocumentPreview(url, filename).catch(error => {
+                    console.error('Failed to preview document:', error);
+                });
+            });
+            container.querySelector('.media-document-content').appendChild(preview);
+        }
+        
         return container;
     }
 
+    /**
+     * Open the preview panel for a PDF or text document
+     * @param {string} url - Blob URL of the document
+     * @param {string} filename - Name of the document
+     * @param {HTMLElement} [parent] - Where the panel goes; the page body by default
+     * @returns {Promise<HTMLElement|null>} - The panel, or null when the file can't be read
+     */
+    async openDocumentPreview(url, filename, parent = document.body) {
+        const data = await this.zipHandler.getMediaData(filename);
+        if (!data) return null;
+        
+        const panel = this.documentPreview.createPanel(filename, url, data);
+        parent.appendChild(panel);
+        panel.focus();
+        return panel;
+    }
+
+    /**
+     * Create poll element: question, options with vote bars and the vote total
+     */
+    createPollElement(poll) {
+        const container = document.createElement('div');
+        container.className = 'media-container media-poll';
+        
+        const options = poll.options.map(option => {
+            const share = poll.totalVotes ? Math.round(option.votes / poll.totalVotes * 100) : 0;
+            return `
+                <li class="media-poll-option">
+                    <span class="media-poll-text">${this.escapeHtml(option.text)}</span>
+                    <span class="media-poll-votes">${option.votes}</span>
+                    <span class="media-poll-bar" style="width: ${share}%"></span>
+                </li>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="media-poll-question">📊 ${this.escapeHtml(poll.question)}</div>
+            <ul class="media-poll-options">${options}</ul>
+            <div class="media-poll-total">${poll.totalVotes} ${poll.totalVotes === 1 ? 'vote' : 'votes'}</div>
+        `;
+        
+        return container;
+    }
+
+    /**
+     * Create location element with coordinates and a maps link
+     * Live locations have no coordinates in the export
+     */
+    createLocationElement(location) {
+        const container = document.createElement('div');
+        container.className = 'media-container media-location';
+        
+        if (location.live) {
+            container.innerHTML = `
+                <span class="media-icon">📍</span>
+                <span class="media-name">Live location shared</span>
+            `;
+            return container;
+        }
+        
+        const coordinates = `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`;
+        container.innerHTML = `
+            <span class="media-icon">📍</span>
+            <span class="media-name">${this.escapeHtml(location.name || 'Location')}</span>
+            <span class="media-location-coordinates">${coordinates}</span>
+            <a href="${this.escapeHtml(location.url)}" target="_blank" rel="noreferrer" class="media-location-link">Open in Maps</a>
+        `;
+        
+        return container;
+    }
+
+    /**
+     * Create contact card element; name, organization, numbers and emails are
+     * filled in once the vCard has been read from the archive
+     */
+    createContactElement(url, filename) {
+        const container = document.createElement('div');
+        container.className = 'media-container media-contact';
+        
+        container.innerHTML = `
+            <div class="media-document-content">
+                <span class="media-icon">👤</span>
+                <span class="media-name">${this.escapeHtml(filename)}</span>
+                <a href="${url}" download="${this.escapeHtml(filename)}" class="media-download">⬇</a>
+            </div>
+        `;
+        
+        if (typeof this.zipHandler.getMediaText === 'function') {
+            this.zipHandler.getMediaText(filename)
+                .then(text => {
+                    const contacts = text ? this.vCardParser.parse(text) : [];
+                    if (contacts.length > 0) {
+                        container.querySelector('.media-name').replaceWith(this.createContactList(contacts));
+                    }
+                })
+                .catch(() => {}); // keep the file name and download link
+        }
+        
+        return container;
+    }
+
+    /**
+     * One card per contact, each with a "Copy" action
+     */
+    createContactList(contacts) {
+        const list = document.createElement('div');
+        list.className = 'media-contact-list';
+        
+        for (const contact of contacts) {
+            const entry = document.createElement('div');
+            entry.className = 'media-contact-entry';
+            const work = [contact.title, contact.organization].filter(Boolean).join(', ');
+            const line = (item, className) => `
+                <span class="${className}">${item.type ? `<span class="media-contact-type">${this.escapeHtml(item.type)}</span> ` : ''}${this.escapeHtml(item.value)}</span>`;
+            
+            entry.innerHTML = `
+                <span class="media-contact-name">${this.escapeHtml(contact.name || 'Unnamed contact')}</span>
+                ${work ? `<span class="media-contact-org">${this.escapeHtml(work)}</span>` : ''}
+                ${contact.phones.map(phone => line(phone, 'media-contact-phone')).join('')}
+                ${contact.emails.map(email => line(email, 'media-contact-email')).join('')}
+                <button type="button" class="media-contact-copy">Copy</button>
+            `;
+            
+            const copy = entry.querySelector('.media-contact-copy');
+            copy.addEventListener('click', () => {
+                this.copyText(VCardParser.toText(contact))
+                    .then(() => { copy.textContent = 'Copied'; })
+                    .catch(() => { copy.textContent = 'Copy failed'; });
+            });
+            
+            list.appendChild(entry);
+        }
+        
+        return list;
+    }
+
+    /**
+     * Copy text to the clipboard
+     * @returns {Promise<void>}
+     */
+    copyText(text) {
+        if (typeof navigator !== 'undefined' && navigator.clipboard) {
+            return navigator.clipboard.writeText(text);
+        }
+        return Promise.reject(new Error('Clipboard not available'));
+    }
+
     /**
      * Get icon for document type
      */
@@ -0,0 +1,113 @@
+import { MessageParser } from './messageParser.js';
+
+/**
+ * MediaReconciliation - Cross-checks a chat's attachments against its archive
+ * Missing files are referenced by messages but absent from the ZIP; orphans
+ * are in the ZIP but referenced by no message. Orphans get a date guessed
+ * from WhatsApp's file names so they can be placed in the timeline.
+ */
+
+// Android: IMG-20240105-WA0001.jpg, VID-, AUD-, PTT-, DOC-, STK-
+const ANDROID_NAME = /^(?:IMG|VID|AUD|PTT|DOC|STK)-(\d{4})(\d{2})(\d{2})-WA\d+/i;
+// iOS: 00000012-PHOTO-2024-01-05-10-20-30.jpg, -VIDEO-, -AUDIO-, -STICKER-
+const IOS_NAME = /^\d+-[A-Z]+-(\d{4})-(\d{2})-(\d{2})-(\d{2})-(\d{2})-(\d{2})\./i;
+
+export const ORPHAN_TEXT = 'Not referenced by any message · date guessed from the file name';
+
+export class MediaReconciliation {
+    /**
+     * @param {ZipHandler} zipHandler - Archive the attachments are looked up in
+     */
+    constructor(zipHandler) {
+        this.zipHandler = zipHandler;
+        this.parser = new MessageParser();
+    }
+
+    /**
+     * @param {Array} messages - Parsed messages, in chat order
+     * @returns {{referenced: number, available: number,
+     *   missing: Array<{filename: string, messageIndices: number[]}>,
+     *   orphans: Array<{filename: string, date: Date|null}>}}
+     */
+    reconcile(messages) {
+        const available = this.zipHandler.getMediaList();
+        const inArchive = new Set(available);
+        const referenced = new Map(); // filename -> indices of the messages naming it
+
+        messages.forEach((msg, index) => {
+            if (!msg.mediaFilename) return;
+            if (!referenced.has(msg.mediaFilename)) referenced.set(msg.mediaFilename, []);
+            referenced.get(msg.mediaFilename).push(index);
+        });
+
+        const missing = [];
+        for (const [filename, messageIndices] of referenced) {
+            if (!inArchive.has(filename)) missing.push({ filename, messageIndices });
+        }
+
+        const orphans = available
+            .filter(filename => !referenced.has(filename))
+            .map(filename => ({ filename, date: MediaReconciliation.dateFromFilename(filename) }));
+
+        return { referenced: referenced.size, available: available.length, missing, orphans };
+    }
+
+    /**
+     * Date in a WhatsApp media file name; Android names carry the day only
+     * and give local midnight
+     * @returns {Date|null}
+     */
+    static dateFromFilename(filename) {
+        const base = String(filename || '').split(/[\\/]/).pop();
+        const ios = base.match(IOS_NAME);
+        const android = !ios && base.match(ANDROID_NAME);
+        const parts = ios || android;
+        if (!parts) return null;
+
+        const [year, month, day, hours = 0, minutes = 0, seconds = 0] = parts.slice(1).map(Number);
+        const date = new Date(year, month - 1, day, hours, minutes, seconds);
+        // Reject impossible dates such as 20241345 instead of rolling them over
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * Messages standing in for dated orphans, for showing them in the timeline
+     * Orphans without a date can't be placed and are left out.
+     */
+    orphanMessages(orphans) {
+        return orphans
+            .filter(orphan => orphan.date)
+            .map(orphan => ({
+                date: orphan.date,
+                sender: 'System',
+                text: ORPHAN_TEXT,
+                isSystem: true,
+                hasMedia: true,
+                mediaType: this.parser.getMediaType(orphan.filename),
+                mediaFilename: orphan.filename,
+                orphan: true
+            }));
+    }
+
+    /**
+     * Messages with orphan messages inserted at their dates; an orphan goes
+     * after the messages of the same time and undated messages keep their place
+     */
+    static withOrphans(messages, orphanMessages) {
+        const pending = [...orphanMessages].sort((a, b) => a.date - b.date);
+        const merged = [];
+        let next = 0;
+
+        for (const msg of messages) {
+            while (next < pending.length && msg.date && pending[next].date < msg.date) {
+                merged.push(pending[next++]);
+            }
+            merged.push(msg);
+        }
+
+        return merged.concat(pending.slice(next));
+    }
+}
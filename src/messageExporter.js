@@ -0,0 +1,153 @@
+/**
+ * MessageExporter - Serializes parsed messages to JSON, NDJSON and CSV
+ * Timestamps are ISO-8601, in UTC or with a timezone offset. Parse stats and
+ * failed lines go into a separate JSON sidecar.
+ */
+
+export const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+const CSV_COLUMNS = ['timestamp', 'sender', 'text', 'attachments', 'messageType', 'isSystem', 'raw'];
+
+export class MessageExporter {
+    /**
+     * @param {Object} [options]
+     * @param {'utc'|'local'|number} [options.offset='utc'] - 'utc' writes "Z", 'local' the
+     *   browser's offset, a number a fixed offset in minutes east of UTC (e.g. 330 for +05:30)
+     */
+    constructor(options = {}) {
+        const offset = options.offset === undefined ? 'utc' : options.offset;
+        if (offset !== 'utc' && offset !== 'local' &&
+            !(Number.isInteger(offset) && Math.abs(offset) <= 14 * 60)) {
+            throw new Error(`Invalid timezone offset: ${offset}`);
+        }
+        this.offset = offset;
+    }
+
+    /**
+     * Format a date as ISO-8601 with second precision
+     */
+    formatTimestamp(date) {
+        if (!date) return null;
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return null;
+
+        if (this.offset === 'utc') {
+            return d.toISOString().slice(0, 19) + 'Z';
+        }
+
+        const offset = this.offset === 'local' ? -d.getTimezoneOffset() : this.offset;
+        // Shift so the UTC fields read as wall-clock time at the offset
+        const shifted = new Date(d.getTime() + offset * 60000).toISOString().slice(0, 19);
+        const sign = offset < 0 ? '-' : '+';
+        const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+        const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+        return `${shifted}${sign}${hours}:${minutes}`;
+    }
+
+    /**
+     * Flatten a parsed message into the exported record shape
+     */
+    toRecord(message) {
+        const attachments = message.attachments ||
+            (message.mediaFilename ? [message.mediaFilename] : []);
+        const isSystem = message.isSystem !== undefined ? !!message.isSystem : !message.sender;
+
+        return {
+            timestamp: this.formatTimestamp(message.date),
+            sender: isSystem ? null : (message.sender || null),
+            text: message.text || '',
+            attachments,
+            messageType: message.messageType || message.mediaType || (isSystem ? 'system' : 'text'),
+            isSystem,
+            raw: message.raw || ''
+        };
+    }
+
+    toJSON(messages) {
+        return JSON.stringify(messages.map(m => this.toRecord(m)), null, 2);
+    }
+
+    /**
+     * One JSON record per line, newline-terminated
+     */
+    toNDJSON(messages) {
+        return messages.map(m => JSON.stringify(this.toRecord(m)) + '\n').join('');
+    }
+
+    /**
+     * RFC 4180: CRLF line breaks, header row, fields quoted when needed
+     * Multiple attachments are joined with "; ".
+     */
+    toCSV(messages) {
+        const rows = [CSV_COLUMNS.join(',')];
+        for (const message of messages) {
+            const record = this.toRecord(message);
+            rows.push(CSV_COLUMNS.map(column => {
+                const value = record[column];
+                return this.csvField(Array.isArray(value) ? value.join('; ') : value);
+            }).join(','));
+        }
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    csvField(value) {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+
+    /**
+     * Serialize messages in one of EXPORT_FORMATS
+     * @param {Array} messages
+     * @param {string} format - json, ndjson or csv
+     * @param {Object} [meta] - { stats, failedLines } from MessageParser.parse, written to the sidecar
+     * @returns {{content: string, mimeType: string, extension: string, sidecar: string}}
+     */
+    serialize(messages, format, meta = {}) {
+        const info = EXPORT_FORMATS[format];
+        if (!info) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const content = format === 'json' ? this.toJSON(messages)
+            : format === 'ndjson' ? this.toNDJSON(messages)
+            : this.toCSV(messages);
+
+        return {
+            content,
+            mimeType: info.mimeType,
+            extension: info.extension,
+            sidecar: this.createSidecar(messages, format, meta)
+        };
+    }
+
+    /**
+     * Export a StateManager's messages, filtered (default) or all
+     */
+    exportState(stateManager, format, { scope = 'filtered', ...meta } = {}) {
+        const messages = scope === 'all' ? stateManager.getAllMessages() : stateManager.getFilteredMessages();
+        return this.serialize(messages, format, { ...meta, scope, filter: stateManager.getFilter() });
+    }
+
+    /**
+     * JSON report that travels with an export: parse stats and the lines that failed
+     */
+    createSidecar(messages, format, meta = {}) {
+        const failedLines = (meta.failedLines || []).map(f =>
+            typeof f === 'string' ? { line: f } : { lineNumber: f.lineNumber, line: f.content ?? f.line, reason: f.reason });
+
+        return JSON.stringify({
+            exportedAt: this.formatTimestamp(new Date()),
+            format,
+            messageCount: messages.length,
+            scope: meta.scope || null,
+            filter: meta.filter || null,
+            stats: meta.stats || null,
+            failedLines
+        }, null, 2);
+    }
+}
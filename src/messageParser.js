@@ -1,41 +1,137 @@
+import { SystemEventClassifier } from './systemEvents.js';
+
+// Date part of a message header: 1/1/2024, 01.01.24 or 2024-01-01
+const DATE = String.raw`\d{4}[/.\-]\d{1,2}[/.\-]\d{1,2}|\d{1,2}[/.\-]\d{1,2}[/.\-]\d{2,4}`;
+
+export const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+
 /**
  * MessageParser - Parses WhatsApp chat export formats
- * Strict parsing only - lines that don't match patterns are collected as failed lines
+ * Strict parsing only - lines that don't match patterns are folded into the previous
+ * message as continuation lines, or collected as failed lines when there is none
  */
 export class MessageParser {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {string} [options.dateOrder] - Force 'DMY', 'MDY' or 'YMD' instead of detecting it
+     */
+    constructor(options = {}) {
         this.failedLines = [];
+        this.dateOrder = null; // User override, null = detect
+        this.activeDateOrder = 'DMY'; // Order used by parseDate
+        this.setDateOrder(options.dateOrder || null);
+        this.eventClassifier = new SystemEventClassifier();
         this.patterns = {
             // [1/1/2024, 10:30:45 AM] John Doe: message
-            bracket: /^\[(\d{1,2}[/.]\d{1,2}[/.]\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)\]\s+([^:]+?):\s*(.*)/,
+            bracket: new RegExp(String.raw`^\[(${DATE}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)\]\s+([^:]+?):\s*(.*)`),
             // 1/1/2024, 10:30:45 AM - John Doe: message
-            dash: /^(\d{1,2}[/.]\d{1,2}[/.]\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)\s*-\s*([^:]+?):\s*(.*)/,
+            dash: new RegExp(String.raw`^(${DATE}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)\s*-\s*([^:]+?):\s*(.*)`),
             // System messages: 1/1/2024, 10:30:45 AM - System action
-            systemDash: /^(\d{1,2}[/.]\d{1,2}[/.]\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)\s*-\s*(.*)/,
+            systemDash: new RegExp(String.raw`^(${DATE}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)\s*-\s*(.*)`),
+            // Leading date of any header line, used for date order detection
+            headerDate: new RegExp(String.raw`^\[?(${DATE}),?\s+\d{1,2}:\d{2}`),
             // Media attachment patterns
             attachment: /<attached:\s*([^>]+)>/,
-            mediaOmitted: /(<Media omitted>|image omitted|video omitted|audio omitted|document omitted|Contact card omitted|Location: https:\/\/maps\.google\.com)/i
+            mediaOmitted: /(<Media omitted>|image omitted|video omitted|audio omitted|document omitted)/i,
+            contactOmitted: /^\u200e?Contact card omitted$/i,
+            // "location: https://maps.google.com/?q=52.52,13.40", or a place name instead of "location"
+            location: /^\u200e?(?:(.+?):\s*)?(https?:\/\/maps\.google\.com\/\S*?[?&](?:q|ll)=(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)\S*)$/i,
+            liveLocation: /^\u200e?Live location shared$/i,
+            // "POLL:", the question, then "OPTION: Pizza (3 votes)" lines; blank lines
+            // between them are kept in the text, so they are allowed here
+            poll: /^\u200e?POLL:\s*\n\s*([^\n]+)((?:\n\s*\u200e?OPTION: [^\n]*)+)$/,
+            pollOption: /^\u200e?OPTION: (.*?)(?:\s*\((\d+) votes?\))?$/,
+            // Markers of newer exports (iOS prefixes them with a direction mark):
+            // appended to edited messages, or the whole text of deleted ones
+            edited: /\s*\u200e?<This message was edited>$/,
+            deleted: /^\u200e?(?:This message was deleted|You deleted this message)\.?$/,
+            viewOnce: /^null$/
         };
     }
 
+    /**
+     * Set the date component order, or null to detect it from the transcript
+     */
+    setDateOrder(order) {
+        if (order !== null && !DATE_ORDERS.includes(order)) {
+            throw new Error(`Invalid date order: ${order}`);
+        }
+        this.dateOrder = order;
+        if (order) {
+            this.activeDateOrder = order;
+        }
+    }
+
+    /**
+     * Infer the date component order from dates that can only be read one way
+     * (a day above 12 or a 4-digit leading year). Samples evenly across the transcript.
+     * @param {string[]} lines - Transcript lines
+     * @param {number} maxSamples - Upper bound on header dates inspected
+     * @returns {{order: string, confidence: number, votes: Object, sampled: number}}
+     */
+    detectDateOrder(lines, maxSamples = 5000) {
+        const votes = { DMY: 0, MDY: 0, YMD: 0 };
+        const step = Math.max(1, Math.floor(lines.length / maxSamples));
+        let sampled = 0;
+
+        for (let i = 0; i < lines.length; i += step) {
+            const match = lines[i].trim().match(this.patterns.headerDate);
+            if (!match) continue;
+            sampled++;
+
+            const parts = match[1].split(/[/.-]/);
+            if (parts[0].length === 4) {
+                votes.YMD++;
+                continue;
+            }
+            const first = parseInt(parts[0], 10);
+            const second = parseInt(parts[1], 10);
+            if (first > 12 && second <= 12) votes.DMY++;
+            else if (second > 12 && first <= 12) votes.MDY++;
+        }
+
+        const decisive = votes.DMY + votes.MDY + votes.YMD;
+        if (!decisive) {
+            // Nothing unambiguous - keep the historical day-first default
+            return { order: 'DMY', confidence: 0, votes, sampled };
+        }
+
+        const order = DATE_ORDERS.reduce((best, o) => votes[o] > votes[best] ? o : best, 'DMY');
+        return { order, confidence: votes[order] / decisive, votes, sampled };
+    }
+
     /**
      * Parse a date and time string into a Date object
+     * @param {string} order - Date component order, defaults to the active one
      */
-    parseDate(dateStr, timeStr) {
+    parseDate(dateStr, timeStr, order = this.activeDateOrder) {
         try {
-            // Split date by . or /
-            const dateParts = dateStr.split(/[/.]/);
+            // Split date by . / or -
+            const dateParts = dateStr.split(/[/.-]/);
             const timeParts = timeStr.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([AP]M))?/);
             
             if (!dateParts || dateParts.length < 3 || !timeParts) {
                 return null;
             }
 
-            let [day, month, year] = dateParts.map(p => parseInt(p, 10));
+            // A 4-digit leading year can only be year-first
+            if (dateParts[0].length === 4) {
+                order = 'YMD';
+            }
+
+            const values = dateParts.map(p => parseInt(p, 10));
+            let day, month, year;
+            if (order === 'MDY') {
+                [month, day, year] = values;
+            } else if (order === 'YMD') {
+                [year, month, day] = values;
+            } else {
+                [day, month, year] = values;
+            }
             
-            // Handle 2-digit years
+            // Handle 2-digit years: 70-99 are 19xx, 00-69 20xx (same pivot as index.html)
             if (year < 100) {
-                year += year < 50 ? 2000 : 1900;
+                year += year >= 70 ? 1900 : 2000;
             }
             
             let hours = parseInt(timeParts[1], 10);
@@ -95,6 +191,28 @@ export class MessageParser {
             };
         }
 
+        // Shared places are links rather than files
+        const location = this.extractLocation(text);
+        if (location) {
+            return {
+                hasMedia: false,
+                filename: null,
+                type: 'location',
+                text,
+                location
+            };
+        }
+
+        // Contact shared without its vCard
+        if (this.patterns.contactOmitted.test(text)) {
+            return {
+                hasMedia: true,
+                filename: null,
+                type: 'contact',
+                text
+            };
+        }
+
         // Check for omitted media
         if (this.patterns.mediaOmitted.test(text)) {
             return {
@@ -113,6 +231,70 @@ export class MessageParser {
         };
     }
 
+    /**
+     * Coordinates of a shared location, or a live location notice
+     * @returns {{latitude: number|null, longitude: number|null, name: string|null, url: string|null, live: boolean}|null}
+     */
+    extractLocation(text) {
+        const trimmed = text.trim();
+        if (this.patterns.liveLocation.test(trimmed)) {
+            return { latitude: null, longitude: null, name: null, url: null, live: true };
+        }
+
+        const match = trimmed.match(this.patterns.location);
+        if (!match) return null;
+
+        const label = match[1] ? match[1].trim() : null;
+        return {
+            latitude: parseFloat(match[3]),
+            longitude: parseFloat(match[4]),
+            name: label && label.toLowerCase() !== 'location' ? label : null,
+            url: match[2],
+            live: false
+        };
+    }
+
+    /**
+     * Question and options of a poll message; polls span several lines,
+     * so this runs on the complete text
+     * @returns {{question: string, options: Array<{text: string, votes: number}>, totalVotes: number}|null}
+     */
+    extractPoll(text) {
+        const match = text.match(this.patterns.poll);
+        if (!match) return null;
+
+        const options = match[2].split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+            const option = line.match(this.patterns.pollOption);
+            return { text: option[1].trim(), votes: option[2] ? parseInt(option[2], 10) : 0 };
+        });
+
+        return {
+            question: match[1].replace(/^\u200e/, '').trim(),
+            options,
+            totalVotes: options.reduce((sum, option) => sum + option.votes, 0)
+        };
+    }
+
+    /**
+     * Read the edited / deleted / view-once markers off a message's text
+     * Edited messages lose the marker; view-once media (exported as "null") has no text.
+     */
+    extractFlags(text) {
+        const edited = this.patterns.edited.test(text);
+        if (edited) {
+            text = text.replace(this.patterns.edited, '');
+        }
+        const deleted = this.patterns.deleted.test(text);
+        const viewOnce = this.patterns.viewOnce.test(text);
+
+        return {
+            text: viewOnce ? '' : text,
+            edited,
+            deleted,
+            viewOnce
+        };
+    }
+
     /**
      * Determine media type from filename
      */
@@ -154,7 +336,8 @@ export class MessageParser {
                 return { failed: true, lineNumber, line, reason: 'Invalid date format' };
             }
             
-            const mediaInfo = this.extractMediaInfo(match[4]);
+            const flags = this.extractFlags(match[4]);
+            const mediaInfo = this.extractMediaInfo(flags.text);
             return {
                 date,
                 sender: match[3].trim(),
@@ -163,6 +346,12 @@ export class MessageParser {
                 hasMedia: mediaInfo.hasMedia,
                 mediaType: mediaInfo.type,
                 mediaFilename: mediaInfo.filename,
+                edited: flags.edited,
+                deleted: flags.deleted,
+                viewOnce: flags.viewOnce,
+                location: mediaInfo.location || null,
+                poll: null,
+                event: this.eventClassifier.classifySenderMessage(flags.text, match[3].trim()),
                 raw: line
             };
         }
@@ -175,7 +364,8 @@ export class MessageParser {
                 return { failed: true, lineNumber, line, reason: 'Invalid date format' };
             }
             
-            const mediaInfo = this.extractMediaInfo(match[4]);
+            const flags = this.extractFlags(match[4]);
+            const mediaInfo = this.extractMediaInfo(flags.text);
             return {
                 date,
                 sender: match[3].trim(),
@@ -184,6 +374,12 @@ export class MessageParser {
                 hasMedia: mediaInfo.hasMedia,
                 mediaType: mediaInfo.type,
                 mediaFilename: mediaInfo.filename,
+                edited: flags.edited,
+                deleted: flags.deleted,
+                viewOnce: flags.viewOnce,
+                location: mediaInfo.location || null,
+                poll: null,
+                event: this.eventClassifier.classifySenderMessage(flags.text, match[3].trim()),
                 raw: line
             };
         }
@@ -206,6 +402,12 @@ export class MessageParser {
                     hasMedia: false,
                     mediaType: null,
                     mediaFilename: null,
+                    edited: false,
+                    deleted: false,
+                    viewOnce: false,
+                    location: null,
+                    poll: null,
+                    event: this.eventClassifier.classify(match[3]),
                     raw: line
                 };
             }
@@ -217,27 +419,47 @@ export class MessageParser {
 
     /**
      * Parse complete chat content
+     * Lines without a timestamp header continue the previous message (multi-line
+     * messages), kept as written: indentation and blank lines between them stay.
      */
     parse(content) {
         const lines = content.split('\n');
         const messages = [];
         this.failedLines = [];
+        let current = null;
+        let blankLines = 0; // inside the current message, kept once more text follows
+        
+        // Decide the date order once so every line is read the same way
+        let dateOrder;
+        if (this.dateOrder) {
+            dateOrder = { order: this.dateOrder, confidence: 1, source: 'override' };
+        } else {
+            const detected = this.detectDateOrder(lines);
+            dateOrder = { order: detected.order, confidence: detected.confidence, source: 'detected' };
+        }
+        this.activeDateOrder = dateOrder.order;
         
         const stats = {
             totalLines: lines.length,
+            dateOrder: dateOrder.order,
+            dateOrderConfidence: dateOrder.confidence,
+            dateOrderSource: dateOrder.source,
             parsedMessages: 0,
             failedLines: 0,
+            continuationLines: 0,
             emptyLines: 0,
             mediaMessages: 0,
             systemMessages: 0
         };
 
         for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+            const rawLine = lines[i].replace(/\r$/, '');
+            const line = rawLine.trim();
             
             // Skip empty lines
             if (!line) {
                 stats.emptyLines++;
+                if (current) blankLines++;
                 continue;
             }
             
@@ -248,6 +470,25 @@ export class MessageParser {
                 continue;
             }
             
+            // Continuation of a multi-line message
+            if (parsed.failed && parsed.reason === 'No matching pattern' && current) {
+                // The edited marker trails the last line of a multi-line message
+                let text = rawLine;
+                if (this.patterns.edited.test(text)) {
+                    text = text.replace(this.patterns.edited, '');
+                    current.edited = true;
+                }
+                if (text.trim()) {
+                    current.text = current.text ? `${current.text}\n${'\n'.repeat(blankLines)}${text}` : text;
+                }
+                current.raw += '\n'.repeat(blankLines + 1) + rawLine;
+                blankLines = 0;
+                current.lineRange.end = i + 1;
+                stats.continuationLines++;
+                continue;
+            }
+            
+            blankLines = 0;
             if (parsed.failed) {
                 this.failedLines.push({
                     lineNumber: parsed.lineNumber,
@@ -255,8 +496,12 @@ export class MessageParser {
                     reason: parsed.reason
                 });
                 stats.failedLines++;
+                // Following lines belong to the failed message, not the previous one
+                current = null;
             } else {
+                parsed.lineRange = { start: i + 1, end: i + 1 };
                 messages.push(parsed);
+                current = parsed;
                 stats.parsedMessages++;
                 
                 if (parsed.hasMedia) stats.mediaMessages++;
@@ -264,6 +509,16 @@ export class MessageParser {
             }
         }
 
+        // Polls are only complete once their option lines have been folded in
+        for (const msg of messages) {
+            if (msg.isSystem) continue;
+            const poll = this.extractPoll(msg.text);
+            if (poll) {
+                msg.poll = poll;
+                msg.mediaType = 'poll';
+            }
+        }
+
         return { 
             messages, 
             failedLines: this.failedLines,
@@ -0,0 +1,189 @@
+/**
+ * ParsingPipeline - Runs media indexing and transcript parsing in a dedicated worker
+ * Batches of parsed messages and progress stream back while the page stays
+ * responsive. When workers are unavailable (e.g. the page was opened from
+ * file://) or the worker fails, the same engine runs in-thread in ~12ms slices;
+ * a job that already streamed batches calls handlers.onRestart before starting
+ * over. Only one job runs at a time: starting a job or calling cancel() abandons
+ * the previous one, whose promise resolves to null.
+ *
+ * The worker answers each job with 'batch' and 'progress' messages and ends it
+ * with 'done' or 'error', all tagged with the job's id. Errors reading the bytes
+ * carry stage 'decode'; those would repeat in-thread, so they reject the job.
+ */
+
+export class ParsingPipeline {
+    /**
+     * @param {Object} engine - The parsing code; the worker script runs the same functions
+     * @param {Function} engine.workerSource - () → source of the worker script
+     * @param {Function} engine.decode - Transcript bytes → text
+     * @param {Function} engine.createParser - (text, options) → incremental parser
+     *   with totalLines, linesDone, unparsedLines, dateOrder, step(maxLines) and takeCompleted(final)
+     * @param {Function} engine.indexFiles - File names → { baseName: fullName }
+     * @param {Object} [options]
+     * @param {boolean} [options.useWorker] - By default whenever workers can run (not from file://)
+     * @param {Function} [options.createWorker] - Script source → Worker; served from a Blob URL by default
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.useWorker = options.useWorker !== undefined
+            ? options.useWorker
+            : typeof Worker !== 'undefined' && typeof location !== 'undefined' && location.protocol !== 'file:';
+        this.createWorker = options.createWorker || ((source) => {
+            this.workerURL = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            return new Worker(this.workerURL);
+        });
+        this.worker = null;
+        this.workerURL = null;
+        this.jobId = 0;
+        this.active = null; // { job, handlers, resolve, reject }
+    }
+
+    /**
+     * @param {string[]} names - Full paths of the archive's files
+     * @returns {Promise<Object|null>} Index by base name, null if cancelled
+     */
+    indexFiles(names) {
+        return this.run({ type: 'index', names }, {});
+    }
+
+    /**
+     * @param {Uint8Array} bytes - The transcript; the worker gets a copy
+     * @param {Object} options - Passed to engine.createParser
+     * @param {Object} [handlers] - onBatch(messages), onProgress({linesDone, totalLines}), onRestart()
+     * @returns {Promise<Object|null>} { unparsedLines, dateOrder }, null if cancelled
+     */
+    parse(bytes, options, handlers = {}) {
+        return this.run({ type: 'parse', bytes, options }, handlers);
+    }
+
+    cancel() {
+        if (!this.active) return;
+        const { resolve } = this.active;
+        this.active = null;
+        this.jobId++;
+        // A busy worker can't be interrupted - replace it
+        this.terminateWorker();
+        resolve(null);
+    }
+
+    run(job, handlers) {
+        this.cancel();
+        job.id = ++this.jobId;
+        return new Promise((resolve, reject) => {
+            this.active = { job, handlers, resolve, reject };
+            if (this.useWorker && this.startInWorker(job)) return;
+            this.runInThread(job);
+        });
+    }
+
+    startInWorker(job) {
+        try {
+            if (!this.worker) {
+                this.worker = this.createWorker(this.engine.workerSource());
+                this.worker.onmessage = (e) => {
+                    // Decode errors would repeat in-thread; anything else is the worker's own failure
+                    if (e.data.type === 'error' && e.data.stage !== 'decode') {
+                        if (this.active && e.data.id === this.active.job.id) this.fallBackToThread(e.data.message);
+                        return;
+                    }
+                    this.dispatch(e.data);
+                };
+                this.worker.onerror = (e) => {
+                    e.preventDefault();
+                    this.fallBackToThread(e.message);
+                };
+            }
+            if (job.type === 'parse') {
+                // Send a copy so the caller's bytes stay usable for re-parsing
+                const bytes = job.bytes.slice();
+                this.worker.postMessage({ ...job, bytes }, [bytes.buffer]);
+            } else {
+                this.worker.postMessage(job);
+            }
+            return true;
+        } catch (err) {
+            console.warn('Parsing worker unavailable, parsing in-thread:', err);
+            this.useWorker = false;
+            this.terminateWorker();
+            return false;
+        }
+    }
+
+    fallBackToThread(reason) {
+        console.warn('Parsing worker failed, parsing in-thread:', reason);
+        this.useWorker = false;
+        this.terminateWorker();
+        if (!this.active) return;
+        const { job, handlers } = this.active;
+        if (handlers.onRestart) handlers.onRestart();
+        this.runInThread(job);
+    }
+
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.workerURL) {
+            URL.revokeObjectURL(this.workerURL);
+            this.workerURL = null;
+        }
+    }
+
+    runInThread(job) {
+        if (job.type === 'index') {
+            this.dispatch({ id: job.id, type: 'done', result: this.engine.indexFiles(job.names) });
+            return;
+        }
+
+        let parser;
+        try {
+            parser = this.engine.createParser(this.engine.decode(job.bytes), job.options);
+        } catch (err) {
+            this.dispatch({ id: job.id, type: 'error', stage: 'decode', message: err.message });
+            return;
+        }
+
+        // Parse in ~12ms slices so progress paints and a new job can cancel us
+        const tick = () => {
+            if (!this.active || this.active.job.id !== job.id) return;
+            const sliceEnd = Date.now() + 12;
+            let done = false;
+            try {
+                while (!done && Date.now() < sliceEnd) done = parser.step(500);
+            } catch (err) {
+                this.dispatch({ id: job.id, type: 'error', message: err.message });
+                return;
+            }
+
+            this.dispatch({ id: job.id, type: 'batch', messages: parser.takeCompleted(done) });
+            this.dispatch({ id: job.id, type: 'progress', linesDone: parser.linesDone, totalLines: parser.totalLines });
+            if (done) {
+                this.dispatch({ id: job.id, type: 'done', result: { unparsedLines: parser.unparsedLines, dateOrder: parser.dateOrder } });
+            } else {
+                setTimeout(tick, 0);
+            }
+        };
+        tick();
+    }
+
+    dispatch(msg) {
+        const active = this.active;
+        if (!active || msg.id !== active.job.id) return; // stale job
+
+        if (msg.type === 'batch') {
+            if (msg.messages.length && active.handlers.onBatch) active.handlers.onBatch(msg.messages);
+        } else if (msg.type === 'progress') {
+            if (active.handlers.onProgress) active.handlers.onProgress(msg);
+        } else if (msg.type === 'done') {
+            this.active = null;
+            active.resolve(msg.result);
+        } else if (msg.type === 'error') {
+            this.active = null;
+            const error = new Error(msg.message);
+            if (msg.stage) error.stage = msg.stage;
+            active.reject(error);
+        }
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * ParticipantIdentity - Which participant is "me", and per-sender name colours
+ * "Me" is guessed from the export's file name ("WhatsApp Chat with Alice") and
+ * from system messages, which the exporting phone writes in the second person
+ * ("You created group"). In a one-to-one chat with neither hint, the second
+ * person to write is taken, as the viewer always did before it knew about
+ * "me". A choice made by the user, including "nobody", is remembered per chat.
+ */
+
+const STORAGE_KEY = 'wa-viewer-me';
+
+// Dark-theme name colours in the spirit of WhatsApp's group chats
+const SENDER_COLORS = [
+    '#25d366', '#53bdeb', '#ff7eb6', '#ffb400', '#a78bfa', '#fc8d62',
+    '#34d399', '#f472b6', '#60a5fa', '#fbbf24', '#c084fc', '#2dd4bf'
+];
+
+// System messages that refer to the exporting user
+const YOU_PATTERN = /^You\b|\b(?:added|removed|by) you\b/;
+
+export class ParticipantIdentity {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || STORAGE_KEY;
+    }
+
+    /**
+     * Name of the other person in "WhatsApp Chat with Alice.zip" / "WhatsApp Chat - Alice.txt"
+     * For group exports this is the group name.
+     */
+    static nameFromFileName(fileName) {
+        const base = String(fileName || '').split(/[\\/]/).pop().replace(/\.(zip|txt)$/i, '').trim();
+        const match = base.match(/^WhatsApp Chat (?:with|-)\s*(.+)$/i);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Stable colour for a sender's name
+     */
+    static colorFor(sender) {
+        let hash = 0;
+        for (const ch of String(sender || '')) {
+            hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+        }
+        return SENDER_COLORS[hash % SENDER_COLORS.length];
+    }
+
+    static isSystem(msg) {
+        return msg.isSystem || msg.sender === 'System';
+    }
+
+    /**
+     * Senders of non-system messages, most messages first
+     */
+    getParticipants(messages) {
+        const counts = new Map();
+        for (const msg of messages) {
+            if (ParticipantIdentity.isSystem(msg)) continue;
+            counts.set(msg.sender, (counts.get(msg.sender) || 0) + 1);
+        }
+        return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    }
+
+    /**
+     * Guess who exported the chat
+     * @param {Array} messages - Parsed messages
+     * @param {string|string[]} fileNames - ZIP and/or transcript names
+     * @returns {{sender: string, source: 'filename'|'system'|'position'}|null}
+     */
+    guess(messages, fileNames = []) {
+        const participants = this.getParticipants(messages);
+
+        // A one-to-one export is named after the other person
+        if (participants.length === 2) {
+            for (const fileName of [].concat(fileNames)) {
+                const other = ParticipantIdentity.nameFromFileName(fileName);
+                if (other && participants.includes(other)) {
+                    return { sender: participants.find(p => p !== other), source: 'filename' };
+                }
+            }
+        }
+
+        // The exporter is "You" in system messages; everyone else is named
+        const notices = messages.filter(msg => ParticipantIdentity.isSystem(msg)).map(msg => msg.text || '');
+        if (notices.some(text => YOU_PATTERN.test(text))) {
+            const unnamed = participants.filter(p => !notices.some(text => this.mentions(text, p)));
+            if (unnamed.length === 1) {
+                return { sender: unnamed[0], source: 'system' };
+            }
+        }
+
+        // Last resort for one-to-one chats: whoever wrote second
+        if (participants.length === 2) {
+            const first = messages.find(msg => !ParticipantIdentity.isSystem(msg)).sender;
+            return { sender: participants.find(p => p !== first), source: 'position' };
+        }
+
+        return null;
+    }
+
+    mentions(text, name) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(text);
+    }
+
+    /**
+     * "Me" for a chat: the remembered choice while that participant is still
+     * in the chat, otherwise the guess. A remembered "nobody" always holds.
+     * @returns {{sender: string, source: 'saved'|'filename'|'system'|'position'}|null}
+     */
+    resolve(chatKey, messages, fileNames = []) {
+        const saved = this.recall(chatKey);
+        if (saved === null) {
+            return null;
+        }
+        if (saved && this.getParticipants(messages).includes(saved)) {
+            return { sender: saved, source: 'saved' };
+        }
+        return this.guess(messages, fileNames);
+    }
+
+    /**
+     * Remember the user's choice for a chat; a null sender means nobody is "me"
+     */
+    remember(chatKey, sender) {
+        return this.store(saved => { saved[chatKey] = sender || null; });
+    }
+
+    /**
+     * Drop the choice for a chat so "me" is guessed again
+     */
+    forget(chatKey) {
+        return this.store(saved => { delete saved[chatKey]; });
+    }
+
+    store(update) {
+        try {
+            const saved = this.loadAll();
+            update(saved);
+            localStorage.setItem(this.storageKey, JSON.stringify(saved));
+            return true;
+        } catch (error) {
+            console.error('Failed to save identity:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {string|null|undefined} The chosen sender, null for nobody,
+     *   undefined when no choice was made
+     */
+    recall(chatKey) {
+        try {
+            return this.loadAll()[chatKey];
+        } catch (error) {
+            console.error('Failed to load identity:', error);
+            return undefined;
+        }
+    }
+
+    loadAll() {
+        const saved = localStorage.getItem(this.storageKey);
+        return saved ? JSON.parse(saved) : {};
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * SearchIndex - Inverted index over message text for instant search
+ * Built once after parsing. Tokens are Unicode-normalized with diacritics,
+ * niqqud and harakat folded away; every query token matches as a prefix and
+ * results come from intersecting posting lists.
+ */
+
+// Letters, digits and in-word apostrophes/gershayim (don't, צה"ל)
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['"׳״’][\p{L}\p{N}]+)*/gu;
+
+const HEBREW_FINALS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+// Binary search in the smaller list once the other is this many times longer
+const GALLOP_RATIO = 16;
+
+export class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // token -> ascending message ids
+        this.sortedTerms = null;   // built on first prefix lookup
+        this.size = 0;
+    }
+
+    /**
+     * Fold text for matching: NFKD, strip combining marks (accents, niqqud,
+     * harakat), Arabic tatweel and letter variants, Hebrew final forms, lowercase
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/\p{M}/gu, '')
+            .replace(/ـ/g, '')
+            .replace(/ٱ/g, 'ا')
+            .replace(/ى/g, 'ي')
+            .replace(/ة/g, 'ه')
+            .replace(/[ךםןףץ]/g, c => HEBREW_FINALS[c])
+            .toLowerCase();
+    }
+
+    static tokenize(text) {
+        const words = SearchIndex.normalize(text).match(WORD_PATTERN) || [];
+        return words.map(word => word.replace(/['"׳״’]/g, ''));
+    }
+
+    /**
+     * Fold text like normalize(), keeping map[i] = offset in text of folded char i
+     * (map has one extra entry for the end of the text)
+     */
+    static foldWithMap(text) {
+        let folded = '';
+        const map = [];
+        let offset = 0;
+
+        for (const ch of String(text || '')) {
+            const f = SearchIndex.normalize(ch);
+            for (let k = 0; k < f.length; k++) map.push(offset);
+            folded += f;
+            offset += ch.length;
+        }
+        map.push(offset);
+
+        return { folded, map };
+    }
+
+    /**
+     * Ranges of text covered by the query tokens, as prefixes of its tokens
+     * @returns {Array<{start: number, end: number}>} offsets into text
+     */
+    static findTokenRanges(text, queryTokens) {
+        const { folded, map } = SearchIndex.foldWithMap(text);
+        const ranges = [];
+
+        for (const match of folded.matchAll(WORD_PATTERN)) {
+            const token = match[0].replace(/['"׳״’]/g, '');
+            let start = match.index;
+            let prefix = queryTokens.find(q => token.startsWith(q));
+            if (!prefix && token.length > 3 && token.startsWith('ال')) {
+                // Indexed without the Arabic article too
+                prefix = queryTokens.find(q => token.slice(2).startsWith(q));
+                start += 2;
+            }
+            if (!prefix) continue;
+
+            // Walk the folded word to cover the prefix, quotes included
+            let end = start;
+            for (let consumed = 0; consumed < prefix.length; end++) {
+                if (!/['"׳״’]/.test(folded[end])) consumed++;
+            }
+            ranges.push({ start: map[start], end: map[end] });
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Ranges of text where the folded phrase occurs
+     */
+    static findPhraseRanges(text, phrase) {
+        const needle = SearchIndex.normalize(phrase);
+        if (!needle) return [];
+
+        const { folded, map } = SearchIndex.foldWithMap(text);
+        const ranges = [];
+        for (let at = folded.indexOf(needle); at !== -1; at = folded.indexOf(needle, at + needle.length)) {
+            ranges.push({ start: map[at], end: map[at + needle.length] });
+        }
+        return ranges;
+    }
+
+    /**
+     * Without an index: does every query token start some token of the text?
+     */
+    static matchText(text, query) {
+        const queryTokens = SearchIndex.tokenize(query);
+        if (queryTokens.length === 0) return SearchIndex.normalize(text).includes(SearchIndex.normalize(query).trim());
+
+        const tokens = SearchIndex.tokenize(text);
+        return queryTokens.every(q => tokens.some(t => t.startsWith(q)));
+    }
+
+    /**
+     * Text indexed for a message: sender, text and attachment names
+     */
+    static getMessageText(message) {
+        const attachments = message.attachments || (message.mediaFilename ? [message.mediaFilename] : []);
+        return [message.sender, message.text, ...attachments].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Index messages; a message's id is its position in the array
+     */
+    build(messages, getText = SearchIndex.getMessageText) {
+        this.postings.clear();
+        this.sortedTerms = null;
+        this.size = 0;
+
+        messages.forEach(message => this.add(getText(message)));
+        return this;
+    }
+
+    /**
+     * Index the next message; returns its id
+     */
+    add(text) {
+        const id = this.size++;
+        const seen = new Set();
+
+        for (const token of SearchIndex.tokenize(text)) {
+            this.addPosting(token, id, seen);
+            // Arabic definite article: الكتاب is also found as كتاب
+            if (token.length > 3 && token.startsWith('ال')) {
+                this.addPosting(token.slice(2), id, seen);
+            }
+        }
+
+        this.sortedTerms = null;
+        return id;
+    }
+
+    addPosting(token, id, seen) {
+        if (seen.has(token)) return;
+        seen.add(token);
+
+        const list = this.postings.get(token);
+        if (list) {
+            list.push(id);
+        } else {
+            this.postings.set(token, [id]);
+        }
+    }
+
+    /**
+     * Ids of messages with a token starting with prefix, ascending
+     */
+    prefixIds(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = Array.from(this.postings.keys()).sort();
+        }
+        const terms = this.sortedTerms;
+
+        let lo = 0;
+        let hi = terms.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (terms[mid] < prefix) lo = mid + 1;
+            else hi = mid;
+        }
+
+        const lists = [];
+        for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) {
+            lists.push(this.postings.get(terms[i]));
+        }
+        if (lists.length <= 1) return lists[0] || [];
+
+        // Union through a bitmap keeps ids ascending without sorting
+        const marks = new Uint8Array(this.size);
+        for (const list of lists) {
+            for (const id of list) marks[id] = 1;
+        }
+        const ids = [];
+        for (let id = 0; id < marks.length; id++) {
+            if (marks[id]) ids.push(id);
+        }
+        return ids;
+    }
+
+    /**
+     * Ids matching every token of a search term, or null when the term has no
+     * tokens (punctuation only) and can't be answered by the index
+     */
+    lookup(term) {
+        const tokens = SearchIndex.tokenize(term);
+        if (tokens.length === 0) return null;
+
+        const lists = tokens.map(token => this.prefixIds(token)).sort((a, b) => a.length - b.length);
+        return lists.reduce((result, list) => SearchIndex.intersect(result, list));
+    }
+
+    /**
+     * Search free text
+     * @returns {{ids: number[], count: number}}
+     */
+    search(query) {
+        const ids = this.lookup(query) || [];
+        return { ids, count: ids.length };
+    }
+
+    /**
+     * Intersect two ascending id lists
+     */
+    static intersect(a, b) {
+        if (a.length > b.length) [a, b] = [b, a];
+        const result = [];
+
+        if (b.length > a.length * GALLOP_RATIO) {
+            let lo = 0;
+            for (const id of a) {
+                let hi = b.length;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (b[mid] < id) lo = mid + 1;
+                    else hi = mid;
+                }
+                if (lo === b.length) break;
+                if (b[lo] === id) result.push(id);
+            }
+            return result;
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                result.push(a[i]);
+                i++;
+                j++;
+            } else if (a[i] < b[j]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,407 @@
+/**
+ * SearchQuery - Query language for filtering messages
+ *
+ *   word "exact phrase" /regex/i    text, sender and attachment names; words
+ *                                   match as token prefixes (see SearchIndex)
+ *   from:Alice  from:"Alice Smith"  sender contains
+ *   after:2023-05-01                on or after that day (local time)
+ *   before:2023-05-01               before that day
+ *   has:image|video|audio|document|media|attachment|link
+ *   ext:pdf                         attachment extension
+ *   -term  a OR b  (grouping)       terms next to each other must all match
+ *
+ * Malformed queries throw an Error with a `position` (0-based offset into the query).
+ */
+
+import { SearchIndex } from './searchIndex.js';
+
+const FIELDS = ['from', 'before', 'after', 'has', 'ext'];
+
+const HAS_VALUES = ['image', 'video', 'audio', 'document', 'media', 'attachment', 'link'];
+
+const EXTENSION_KINDS = {
+    jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image',
+    mp4: 'video', '3gp': 'video', mov: 'video', avi: 'video', mkv: 'video', webm: 'video', m4v: 'video',
+    opus: 'audio', mp3: 'audio', aac: 'audio', m4a: 'audio', wav: 'audio', ogg: 'audio'
+};
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./i;
+
+function queryError(message, position) {
+    const error = new Error(message);
+    error.position = position;
+    return error;
+}
+
+export class SearchQuery {
+    /**
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {SearchIndex} [options.index] - Answers word and phrase terms for messages passed with their id
+     * @throws {Error} with `position` when the query is malformed
+     */
+    constructor(query, options = {}) {
+        this.query = query || '';
+        this.tokens = this.tokenize(this.query);
+        this.cursor = 0;
+        this.ast = this.tokens.length ? this.parseOr() : null;
+
+        if (this.cursor < this.tokens.length) {
+            // Only a stray ")" stops the top-level parse early
+            throw queryError(`Unexpected ")" at position ${this.tokens[this.cursor].position}`, this.tokens[this.cursor].position);
+        }
+
+        if (options.index) {
+            this.resolveTerms(options.index);
+        }
+    }
+
+    /**
+     * Predicate for Array.filter / ChatDataSource.applyFilter
+     * With an index, the second argument must be the message's id in that index.
+     */
+    static compile(query, options = {}) {
+        const parsed = new SearchQuery(query, options);
+        return options.index
+            ? (message, id) => parsed.matches(message, id)
+            : message => parsed.matches(message);
+    }
+
+    isEmpty() {
+        return this.ast === null;
+    }
+
+    /**
+     * @param {Object} message
+     * @param {number} [id] - Position in the SearchIndex, to use its posting lists
+     */
+    matches(message, id) {
+        return this.ast === null || this.evaluate(this.ast, message, id);
+    }
+
+    /**
+     * Look up word and phrase terms in the index once, as posting lists plus a
+     * bitmap for per-message checks
+     */
+    resolveTerms(index) {
+        for (const token of this.tokens) {
+            if (token.type !== 'term' || token.field || token.kind === 'regex') continue;
+
+            token.ids = index.lookup(token.value);
+            if (token.ids) {
+                token.bitmap = new Uint8Array(index.size);
+                for (const id of token.ids) token.bitmap[id] = 1;
+            }
+        }
+    }
+
+    /**
+     * Ascending ids that can match, intersected from the posting lists of the
+     * top-level indexed terms; null when every message has to be checked
+     */
+    candidates() {
+        if (!this.ast) return null;
+
+        const terms = this.ast.type === 'and' ? this.ast.children : [this.ast];
+        const lists = terms.filter(t => t.type === 'term' && t.ids).map(t => t.ids);
+        if (lists.length === 0) return null;
+
+        return lists.sort((a, b) => a.length - b.length).reduce((result, list) => SearchIndex.intersect(result, list));
+    }
+
+    /**
+     * Split the query into terms, "(", ")", "OR" and "-"
+     */
+    tokenize(query) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            const ch = query[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '(' || ch === ')') {
+                tokens.push({ type: ch, position: i });
+                i++;
+            } else if (ch === '-' && (i === 0 || /[\s(]/.test(query[i - 1]))) {
+                if (i + 1 >= query.length || /[\s)]/.test(query[i + 1])) {
+                    throw queryError(`Nothing to exclude after "-" at position ${i}`, i);
+                }
+                tokens.push({ type: 'not', position: i });
+                i++;
+            } else if (ch === '"') {
+                const { value, end } = this.readQuoted(query, i);
+                tokens.push({ type: 'term', field: null, kind: 'phrase', value, position: i });
+                i = end;
+            } else if (ch === '/') {
+                const { regex, end } = this.readRegex(query, i);
+                tokens.push({ type: 'term', field: null, kind: 'regex', regex, position: i });
+                i = end;
+            } else {
+                const start = i;
+                while (i < query.length && !/[\s()]/.test(query[i])) i++;
+                const word = query.slice(start, i);
+
+                if (word === 'OR') {
+                    tokens.push({ type: 'or', position: start });
+                    continue;
+                }
+
+                const field = word.match(/^([a-z]+):(.*)$/i);
+                if (field && FIELDS.includes(field[1].toLowerCase())) {
+                    let value = field[2];
+                    if (value.startsWith('"')) {
+                        const quoted = this.readQuoted(query, start + field[1].length + 1);
+                        value = quoted.value;
+                        i = quoted.end;
+                    }
+                    tokens.push(this.fieldToken(field[1].toLowerCase(), value, start));
+                } else {
+                    tokens.push({ type: 'term', field: null, kind: 'word', value: word, position: start });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    readQuoted(query, start) {
+        const close = query.indexOf('"', start + 1);
+        if (close === -1) {
+            throw queryError(`Unterminated quote starting at position ${start}`, start);
+        }
+        return { value: query.slice(start + 1, close), end: close + 1 };
+    }
+
+    readRegex(query, start) {
+        let i = start + 1;
+        while (i < query.length && query[i] !== '/') {
+            i += query[i] === '\\' ? 2 : 1;
+        }
+        if (i >= query.length) {
+            throw queryError(`Unterminated regular expression starting at position ${start}`, start);
+        }
+
+        const source = query.slice(start + 1, i);
+        const flags = (query.slice(i + 1).match(/^[a-z]*/) || [''])[0];
+        if (!source) {
+            throw queryError(`Empty regular expression at position ${start}`, start);
+        }
+
+        try {
+            // "g" and "y" make test() stateful, which breaks filtering
+            return { regex: new RegExp(source, flags.replace(/[gy]/g, '')), end: i + 1 + flags.length };
+        } catch (e) {
+            throw queryError(`Invalid regular expression /${source}/${flags}: ${e.message}`, start);
+        }
+    }
+
+    fieldToken(field, value, position) {
+        if (!value) {
+            throw queryError(`Missing value after ${field}: at position ${position}`, position);
+        }
+        const token = { type: 'term', field, value, position };
+
+        if (field === 'before' || field === 'after') {
+            token.date = this.parseDate(value, field, position);
+        } else if (field === 'has') {
+            token.value = value.toLowerCase() === 'doc' ? 'document' : value.toLowerCase();
+            if (!HAS_VALUES.includes(token.value)) {
+                throw queryError(`Unknown has: value "${value}" at position ${position}. Use ${HAS_VALUES.join(', ')}`, position);
+            }
+        } else if (field === 'ext') {
+            token.value = value.toLowerCase().replace(/^\./, '');
+        }
+
+        return token;
+    }
+
+    /**
+     * YYYY-MM-DD as local midnight
+     */
+    parseDate(value, field, position) {
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+
+        if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+            throw queryError(`Invalid date "${value}" in ${field}: at position ${position}. Use YYYY-MM-DD`, position);
+        }
+        return date;
+    }
+
+    peek() {
+        return this.tokens[this.cursor] || null;
+    }
+
+    parseOr() {
+        const first = this.peek();
+        if (first && first.type === 'or') {
+            throw queryError(`OR needs a search term on both sides (position ${first.position})`, first.position);
+        }
+
+        const children = [this.parseAnd()];
+        while (this.peek() && this.peek().type === 'or') {
+            const or = this.tokens[this.cursor++];
+            const next = this.peek();
+            if (!next || next.type === 'or' || next.type === ')') {
+                throw queryError(`OR needs a search term on both sides (position ${or.position})`, or.position);
+            }
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    parseAnd() {
+        const children = [];
+        while (this.peek() && this.peek().type !== 'or' && this.peek().type !== ')') {
+            children.push(this.parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    parseUnary() {
+        const token = this.tokens[this.cursor++];
+
+        if (token.type === 'not') {
+            const next = this.peek();
+            if (!next || next.type === 'or' || next.type === ')') {
+                throw queryError(`Nothing to exclude after "-" at position ${token.position}`, token.position);
+            }
+            return { type: 'not', child: this.parseUnary() };
+        }
+
+        if (token.type === '(') {
+            const next = this.peek();
+            if (next && next.type === ')') {
+                throw queryError(`Empty parentheses at position ${token.position}`, token.position);
+            }
+            const group = this.parseOr();
+            if (!this.peek() || this.peek().type !== ')') {
+                throw queryError(`Missing ")" for "(" at position ${token.position}`, token.position);
+            }
+            this.cursor++;
+            return group;
+        }
+
+        return token;
+    }
+
+    /**
+     * Where the query's words, phrases and regexes match inside text, for highlighting
+     * Excluded (-negated) terms and field operators are not highlighted.
+     * @returns {Array<{start: number, end: number}>} sorted, non-overlapping offsets
+     */
+    highlight(text) {
+        if (!text || !this.ast) return [];
+
+        const ranges = [];
+        const visit = (node) => {
+            if (node.type === 'and' || node.type === 'or') {
+                node.children.forEach(visit);
+            } else if (node.type === 'term' && !node.field) {
+                if (node.kind === 'regex') {
+                    const global = new RegExp(node.regex.source, node.regex.flags + 'g');
+                    for (const match of text.matchAll(global)) {
+                        if (match[0]) ranges.push({ start: match.index, end: match.index + match[0].length });
+                    }
+                } else if (node.kind === 'phrase') {
+                    ranges.push(...SearchIndex.findPhraseRanges(text, node.value));
+                } else {
+                    ranges.push(...SearchIndex.findTokenRanges(text, SearchIndex.tokenize(node.value)));
+                }
+            }
+            // 'not' subtrees describe what must be absent
+        };
+        visit(this.ast);
+
+        ranges.sort((a, b) => a.start - b.start);
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        }
+        return merged;
+    }
+
+    evaluate(node, message, id) {
+        switch (node.type) {
+            case 'and': return node.children.every(child => this.evaluate(child, message, id));
+            case 'or': return node.children.some(child => this.evaluate(child, message, id));
+            case 'not': return !this.evaluate(node.child, message, id);
+            default: return this.matchTerm(node, message, id);
+        }
+    }
+
+    matchTerm(term, message, id) {
+        switch (term.field) {
+            case 'from':
+                return !!message.sender && message.sender.toLowerCase().includes(term.value.toLowerCase());
+            case 'after':
+                return !!message.date && new Date(message.date) >= term.date;
+            case 'before':
+                return !!message.date && new Date(message.date) < term.date;
+            case 'ext':
+                return this.getAttachments(message).some(name => this.getExtension(name) === term.value);
+            case 'has':
+                return this.hasKind(message, term.value);
+        }
+
+        if (term.kind === 'regex') {
+            return [message.text, message.sender, ...this.getAttachments(message)]
+                .some(value => !!value && term.regex.test(value));
+        }
+
+        const indexed = term.bitmap && id !== undefined;
+        if (term.kind === 'word') {
+            return indexed ? term.bitmap[id] === 1 : SearchIndex.matchText(this.getSearchText(message), term.value);
+        }
+        // Phrases: the index narrows, the folded text decides
+        if (indexed && !term.bitmap[id]) return false;
+        return SearchIndex.normalize(this.getSearchText(message)).includes(SearchIndex.normalize(term.value));
+    }
+
+    hasKind(message, kind) {
+        if (kind === 'link') return LINK_PATTERN.test(message.text || '');
+
+        const kinds = this.getKinds(message);
+        if (kind === 'attachment') return kinds.length > 0;
+        if (kind === 'media') return kinds.some(k => k === 'image' || k === 'video' || k === 'audio');
+        return kinds.includes(kind);
+    }
+
+    /**
+     * Attachment kinds: from the parser's mediaType, or by extension for
+     * messages that list their attachments (the viewer's shape)
+     */
+    getKinds(message) {
+        if (Array.isArray(message.attachments)) {
+            return message.attachments.map(name => EXTENSION_KINDS[this.getExtension(name)] || 'document');
+        }
+        if (!message.hasMedia || !message.mediaType || message.mediaType === 'omitted') return [];
+        return [message.mediaType === 'file' ? 'document' : message.mediaType];
+    }
+
+    getAttachments(message) {
+        if (Array.isArray(message.attachments)) return message.attachments;
+        return message.mediaFilename ? [message.mediaFilename] : [];
+    }
+
+    getExtension(name) {
+        const match = name.match(/\.([^./\\]+)$/);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Haystack for words and phrases; the viewer precomputes it as `searchable`
+     */
+    getSearchText(message) {
+        if (typeof message.searchable === 'string') return message.searchable;
+        return SearchIndex.getMessageText(message);
+    }
+}
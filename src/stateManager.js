@@ -1,3 +1,7 @@
+import { SearchQuery } from './searchQuery.js';
+import { SearchIndex } from './searchIndex.js';
+import { SystemEventClassifier } from './systemEvents.js';
+
 /**
  * StateManager - Simple state management with observer pattern
  * Handles messages, filtering, and UI state
@@ -10,8 +14,15 @@ export class StateManager {
             filter: {
                 text: '',
                 type: 'all', // all, media, documents
-                dateRange: null
+                dateRange: null,
+                participants: [],    // senders to show; empty shows everyone
+                excludeSystem: false,
+                conversation: null,  // [a, b]: only their back-and-forth
+                flag: null,          // edited, deleted or viewOnce: only flagged messages
+                hiddenEvents: []     // system event types to hide (see SystemEventClassifier)
             },
+            // Find in chat: hits are positions in filteredMessages
+            find: { query: '', positions: [], current: -1 },
             stats: {
                 totalMessages: 0,
                 mediaCount: 0,
@@ -23,6 +34,11 @@ export class StateManager {
         
         // Event subscribers: Map<eventName, Set<callback>>
         this.subscribers = new Map();
+        
+        // Inverted index over state.messages, rebuilt by setMessages
+        this.searchIndex = new SearchIndex();
+        this.messageIds = null; // message -> id in searchIndex, built on first find
+        this.findQuery = null;  // compiled query of the active find
     }
 
     /**
@@ -70,6 +86,10 @@ export class StateManager {
     setMessages(messages) {
         this.state.messages = messages;
         
+        // Index text once so each search only intersects posting lists
+        this.searchIndex = new SearchIndex().build(messages);
+        this.messageIds = null;
+        
         // Calculate stats once
         this.state.stats = this.calculateStats(messages);
         
@@ -83,17 +103,30 @@ export class StateManager {
             totalCount: this.state.messages.length,
             filteredCount: this.state.filteredMessages.length
         });
+        
+        if (this.state.find.query) {
+            this.find(this.state.find.query);
+        }
     }
 
     /**
      * Apply filter to messages
+     * A malformed search query emits filter:error and keeps the previous results.
      */
     applyFilter(filter) {
-        // Update filter state
-        this.state.filter = { ...this.state.filter, ...filter };
+        const nextFilter = { ...this.state.filter, ...filter };
         
-        // Filter messages
-        this.state.filteredMessages = this.filterMessages(this.state.messages, this.state.filter);
+        let filteredMessages;
+        try {
+            filteredMessages = this.filterMessages(this.state.messages, nextFilter);
+        } catch (error) {
+            this.emit('filter:error', { filter: nextFilter, error });
+            return;
+        }
+        
+        // Update filter state
+        this.state.filter = nextFilter;
+        this.state.filteredMessages = filteredMessages;
         
         // Emit filter applied event
         this.emit('filter:applied', {
@@ -102,6 +135,90 @@ export class StateManager {
             totalCount: this.state.messages.length,
             filteredCount: this.state.filteredMessages.length
         });
+        
+        // Hits are positions in the filtered list, so they move with it
+        if (this.state.find.query) {
+            this.find(this.state.find.query);
+        }
+    }
+
+    /**
+     * Find in chat: mark messages matching a query without hiding the others
+     * Throws on malformed queries, like SearchQuery.
+     */
+    find(query) {
+        const search = new SearchQuery(query, { index: this.searchIndex });
+        const positions = [];
+        
+        if (!search.isEmpty()) {
+            const ids = this.getMessageIds();
+            this.state.filteredMessages.forEach((msg, position) => {
+                if (search.matches(msg, ids.get(msg))) positions.push(position);
+            });
+        }
+        
+        this.state.find = { query, positions, current: positions.length ? 0 : -1 };
+        this.findQuery = search;
+        this.emit('find:updated', this.getFindState());
+        return this.getFindState();
+    }
+
+    /**
+     * Move to the next hit, wrapping around at the end
+     */
+    findNext() {
+        return this.moveFind(1);
+    }
+
+    /**
+     * Move to the previous hit, wrapping around at the start
+     */
+    findPrevious() {
+        return this.moveFind(-1);
+    }
+
+    moveFind(step) {
+        const find = this.state.find;
+        if (find.positions.length === 0) return this.getFindState();
+        
+        find.current = (find.current + step + find.positions.length) % find.positions.length;
+        this.emit('find:moved', this.getFindState());
+        return this.getFindState();
+    }
+
+    /**
+     * Current hit: position in filteredMessages and "n of N" label
+     */
+    getFindState() {
+        const { query, positions, current } = this.state.find;
+        return {
+            query,
+            count: positions.length,
+            current,
+            position: current >= 0 ? positions[current] : -1,
+            positions: [...positions],
+            label: positions.length ? `${current + 1} of ${positions.length}` : (query ? 'No matches' : '')
+        };
+    }
+
+    /**
+     * Highlight ranges of the active find query in a message's text
+     */
+    getFindHighlights(text) {
+        return this.state.find.query && this.findQuery ? this.findQuery.highlight(text) : [];
+    }
+
+    clearFind() {
+        this.state.find = { query: '', positions: [], current: -1 };
+        this.findQuery = null;
+        this.emit('find:updated', this.getFindState());
+    }
+
+    getMessageIds() {
+        if (!this.messageIds) {
+            this.messageIds = new Map(this.state.messages.map((msg, id) => [msg, id]));
+        }
+        return this.messageIds;
     }
 
     /**
@@ -110,13 +227,15 @@ export class StateManager {
     filterMessages(messages, filter) {
         let filtered = messages;
         
-        // Text filter
+        // Text filter, in the SearchQuery language (throws on malformed queries)
         if (filter.text) {
-            const searchText = filter.text.toLowerCase();
-            filtered = filtered.filter(msg => 
-                msg.text.toLowerCase().includes(searchText) ||
-                msg.sender.toLowerCase().includes(searchText)
-            );
+            // Ids in the index are positions in state.messages
+            const index = messages === this.state.messages ? this.searchIndex : null;
+            const query = new SearchQuery(filter.text, { index });
+            const candidates = index && query.candidates();
+            filtered = candidates
+                ? candidates.filter(id => query.matches(messages[id], id)).map(id => messages[id])
+                : filtered.filter((msg, id) => query.matches(msg, index ? id : undefined));
         }
         
         // Type filter
@@ -141,9 +260,97 @@ export class StateManager {
             });
         }
         
+        // Participant filters
+        if (filter.participants && filter.participants.length > 0) {
+            const senders = new Set(filter.participants);
+            filtered = filtered.filter(msg => !this.isSystemMessage(msg) && senders.has(msg.sender));
+        }
+        
+        if (filter.excludeSystem) {
+            filtered = filtered.filter(msg => !this.isSystemMessage(msg));
+        }
+        
+        if (filter.conversation) {
+            const exchange = this.getConversation(messages, filter.conversation);
+            filtered = filtered.filter(msg => exchange.has(msg));
+        }
+        
+        // Edited / deleted / view-once markers read by MessageParser
+        if (filter.flag) {
+            filtered = filtered.filter(msg => msg[filter.flag] === true);
+        }
+        
+        // Noisy system events, by type
+        if (filter.hiddenEvents && filter.hiddenEvents.length > 0) {
+            const hidden = new Set(filter.hiddenEvents);
+            filtered = filtered.filter(msg => !msg.event || !hidden.has(msg.event.type));
+        }
+        
         return filtered;
     }
 
+    isSystemMessage(msg) {
+        return msg.isSystem || msg.sender === 'System';
+    }
+
+    /**
+     * Messages of a two-person exchange: each one sent by a or b right before
+     * or after a message by the other (system messages in between are skipped)
+     * @returns {Set<Object>}
+     */
+    getConversation(messages, [a, b]) {
+        const people = messages.filter(msg => !this.isSystemMessage(msg));
+        const exchange = new Set();
+        
+        for (let i = 1; i < people.length; i++) {
+            const prev = people[i - 1].sender;
+            const curr = people[i].sender;
+            if ((prev === a && curr === b) || (prev === b && curr === a)) {
+                exchange.add(people[i - 1]);
+                exchange.add(people[i]);
+            }
+        }
+        
+        return exchange;
+    }
+
+    /**
+     * Participants with their message counts, busiest first
+     * @returns {Array<{sender: string, count: number}>}
+     */
+    getParticipantCounts() {
+        const counts = new Map();
+        for (const msg of this.state.messages) {
+            if (this.isSystemMessage(msg)) continue;
+            counts.set(msg.sender, (counts.get(msg.sender) || 0) + 1);
+        }
+        
+        return Array.from(counts, ([sender, count]) => ({ sender, count }))
+            .sort((a, b) => b.count - a.count || a.sender.localeCompare(b.sender));
+    }
+
+    /**
+     * System event types with their message counts, most frequent first
+     * @returns {Array<{type: string, count: number}>}
+     */
+    getEventCounts() {
+        const counts = new Map();
+        for (const msg of this.state.messages) {
+            if (!msg.event) continue;
+            counts.set(msg.event.type, (counts.get(msg.event.type) || 0) + 1);
+        }
+        
+        return Array.from(counts, ([type, count]) => ({ type, count }))
+            .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+    }
+
+    /**
+     * Who created, joined, left, added and removed, in chat order
+     */
+    getMembershipHistory() {
+        return SystemEventClassifier.membershipHistory(this.state.messages);
+    }
+
     /**
      * Calculate statistics from messages
      */
@@ -228,9 +435,24 @@ export class StateManager {
             this.applyFilter({ type: 'all' });
         } else if (filterType === 'dateRange') {
             this.applyFilter({ dateRange: null });
+        } else if (filterType === 'participants') {
+            this.applyFilter({ participants: [], excludeSystem: false, conversation: null });
+        } else if (filterType === 'flag') {
+            this.applyFilter({ flag: null });
+        } else if (filterType === 'events') {
+            this.applyFilter({ hiddenEvents: [] });
         } else {
             // Clear all filters
-            this.applyFilter({ text: '', type: 'all', dateRange: null });
+            this.applyFilter({
+                text: '',
+                type: 'all',
+                dateRange: null,
+                participants: [],
+                excludeSystem: false,
+                conversation: null,
+                flag: null,
+                hiddenEvents: []
+            });
         }
     }
 
@@ -252,6 +474,7 @@ export class StateManager {
 
     /**
      * Load state from localStorage
+     * A saved query that no longer parses is dropped rather than making every filter throw.
      */
     loadFromStorage() {
         try {
@@ -259,7 +482,14 @@ export class StateManager {
             if (saved) {
                 const stateToLoad = JSON.parse(saved);
                 if (stateToLoad.filter) {
-                    this.state.filter = { ...this.state.filter, ...stateToLoad.filter };
+                    const filter = { ...stateToLoad.filter };
+                    try {
+                        new SearchQuery(filter.text);
+                    } catch (error) {
+                        console.warn('Dropping saved search query:', error.message);
+                        delete filter.text;
+                    }
+                    this.state.filter = { ...this.state.filter, ...filter };
                 }
                 return true;
             }
@@ -273,14 +503,24 @@ export class StateManager {
      * Clear all state
      */
     clear() {
+        this.searchIndex = new SearchIndex();
+        this.messageIds = null;
+        this.findQuery = null;
         this.state = {
             messages: [],
             filteredMessages: [],
             filter: {
                 text: '',
                 type: 'all',
-                dateRange: null
+                dateRange: null,
+                participants: [],
+                excludeSystem: false,
+                conversation: null,
+                flag: null,
+                hiddenEvents: []
             },
+            // Find in chat: hits are positions in filteredMessages
+            find: { query: '', positions: [], current: -1 },
             stats: {
                 totalMessages: 0,
                 mediaCount: 0,
@@ -0,0 +1,102 @@
+/**
+ * SystemEventClassifier - Turns WhatsApp's system lines into typed events
+ * "Alice added Bob" becomes { type: 'memberAdded', actor: 'Alice', target: 'Bob' }.
+ * The exporting user appears as "You", as WhatsApp writes it. Only English
+ * exports are recognised; anything else is an 'other' event.
+ */
+
+export const EVENT_TYPES = [
+    'groupCreated', 'memberAdded', 'memberRemoved', 'memberLeft', 'memberJoined',
+    'groupRenamed', 'iconChanged', 'descriptionChanged', 'securityCodeChanged',
+    'encryption', 'disappearingMessages', 'missedCall', 'other'
+];
+
+// Events that make up the group membership history
+export const MEMBERSHIP_EVENTS = ['groupCreated', 'memberAdded', 'memberRemoved', 'memberLeft', 'memberJoined'];
+
+// Checked in order: specific wordings before the generic "added" / "removed".
+// fields name the capture groups; alternatives may fill the same field.
+const RULES = [
+    { type: 'groupCreated', pattern: /^(.+?) created (?:the )?group "(.*)"$/, fields: ['actor', 'value'] },
+    { type: 'groupRenamed', pattern: /^(.+?) changed the (?:subject|group name) (?:from "(?:.*)" )?to "(.*)"$/, fields: ['actor', 'value'] },
+    { type: 'iconChanged', pattern: /^(.+?) (?:changed|deleted|removed) (?:this group's|the group) icon$/, fields: ['actor'] },
+    { type: 'descriptionChanged', pattern: /^(.+?) (?:changed|deleted) the group description$/, fields: ['actor'] },
+    { type: 'securityCodeChanged', pattern: /^(?:Your security code with (.+?)|(.+?)'s security code) changed\b/, fields: ['target', 'target'] },
+    { type: 'encryption', pattern: /end-to-end encrypted/i, fields: [] },
+    { type: 'disappearingMessages', pattern: /^(?:(.+?) turned (on|off) disappearing messages|Disappearing messages were turned (on|off))\b/, fields: ['actor', 'value', 'value'] },
+    { type: 'missedCall', pattern: /^Missed (voice|video) call\b/, fields: ['value'] },
+    { type: 'memberJoined', pattern: /^(.+?) joined(?: using this group's invite link| from the community)?$/, fields: ['actor'] },
+    { type: 'memberLeft', pattern: /^(.+?) left$/, fields: ['actor'] },
+    { type: 'memberAdded', pattern: /^(.+?) added (.+)$/, fields: ['actor', 'target'] },
+    { type: 'memberRemoved', pattern: /^(.+?) removed (.+)$/, fields: ['actor', 'target'] }
+];
+
+// Notices iOS exports under a sender's (or the chat's) name instead of as system
+// lines. Every message from a participant is checked against these, so they
+// match WhatsApp's whole sentences only, never a mention in ordinary text.
+const SENDER_RULES = [
+    { type: 'securityCodeChanged', pattern: /^(?:Your security code with ([^.?!]+?)|([^.?!]+?)'s security code) changed(?:\. Tap (?:to learn more|for more info))?$/, fields: ['target', 'target'] },
+    { type: 'encryption', pattern: /^Messages and calls are end-to-end encrypted(?:\. (?:No one outside of this chat|Only people in this chat)[^.]*)?(?:\. (?:Tap to learn more|Learn more))?$/, fields: [] },
+    { type: 'disappearingMessages', pattern: /^(?:([^.?!]+?) turned (on|off) disappearing messages|Disappearing messages were turned (on|off))(?:\. [^.]* will disappear from this chat [^.]*)?(?:\. Tap to change)?$/, fields: ['actor', 'value', 'value'] },
+    { type: 'missedCall', pattern: /^Missed (voice|video) call(?:[.,] (?:Tap|Click) to call back)?$/, fields: ['value'] }
+];
+
+// First rule matching the text, as an event; null when none does
+function matchRules(rules, text, sender) {
+    const clean = String(text || '')
+        .replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '')
+        .trim()
+        .replace(/\.$/, '');
+
+    for (const rule of rules) {
+        const match = clean.match(rule.pattern);
+        if (!match) continue;
+
+        const event = { type: rule.type, actor: null, target: null, value: null };
+        rule.fields.forEach((field, i) => {
+            if (match[i + 1] !== undefined) event[field] = match[i + 1];
+        });
+        if (rule.type === 'missedCall') event.actor = sender;
+        return event;
+    }
+
+    return null;
+}
+
+export class SystemEventClassifier {
+    /**
+     * Classify the text of a system line
+     * @param {string} text - Message text
+     * @param {string} [sender] - Who the line was exported under; the actor of a missed call
+     * @returns {{type: string, actor: string|null, target: string|null, value: string|null}}
+     */
+    classify(text, sender = null) {
+        return matchRules(RULES, text, sender) || { type: 'other', actor: null, target: null, value: null };
+    }
+
+    /**
+     * Event for a message sent under a name: only the notices that iOS
+     * exports that way (calls, security codes, encryption, disappearing messages),
+     * in WhatsApp's exact wording
+     * @returns {Object|null}
+     */
+    classifySenderMessage(text, sender) {
+        return matchRules(SENDER_RULES, text, sender);
+    }
+
+    /**
+     * Group membership history: who created, joined, left, added and removed, in order
+     * @param {Array} messages - Parsed messages carrying an event
+     * @returns {Array<{date: Date, type: string, actor: string|null, target: string|null}>}
+     */
+    static membershipHistory(messages) {
+        return messages
+            .filter(msg => msg.event && MEMBERSHIP_EVENTS.includes(msg.event.type))
+            .map(msg => ({
+                date: msg.date,
+                type: msg.event.type,
+                actor: msg.event.actor,
+                target: msg.event.target
+            }));
+    }
+}
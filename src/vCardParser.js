@@ -0,0 +1,220 @@
+/**
+ * VCardParser - Reads contacts from .vcf files (vCard 2.1, 3.0 and 4.0)
+ * Handles folded lines, quoted-printable values with their charset, escaped
+ * text and Apple-style item labels ("item1.X-ABLabel:Mobile"). Several
+ * contacts in one file come back as several entries.
+ */
+
+// Type parameters that say nothing useful to a reader
+const IGNORED_TYPES = ['pref', 'voice', 'internet', 'x400', 'msg'];
+
+export class VCardParser {
+    /**
+     * Parse every contact in a vCard file
+     * @param {string} text - File contents
+     * @returns {Array<{name: string, phones: Array<{value: string, type: string|null}>, emails: Array<{value: string, type: string|null}>, organization: string|null, title: string|null}>}
+     */
+    parse(text) {
+        const contacts = [];
+        let card = null;
+
+        for (const line of this.unfold(String(text || ''))) {
+            const property = this.parseProperty(line);
+            if (!property) continue;
+
+            if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+                card = { properties: [], labels: new Map() };
+            } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+                if (card) contacts.push(this.toContact(card));
+                card = null;
+            } else if (card) {
+                if (property.name === 'X-ABLABEL' && property.group) {
+                    card.labels.set(property.group, this.cleanLabel(this.decodeValue(property)));
+                } else {
+                    card.properties.push(property);
+                }
+            }
+        }
+
+        return contacts;
+    }
+
+    /**
+     * Join folded lines: a leading space or tab continues the previous line,
+     * and so does the line after a quoted-printable soft break ("=" at the end)
+     */
+    unfold(text) {
+        const lines = [];
+        for (const raw of text.split(/\r\n|\r|\n/)) {
+            const last = lines.length - 1;
+            if (last >= 0 && /^[ \t]/.test(raw)) {
+                lines[last] += raw.slice(1);
+            } else if (last >= 0 && /QUOTED-PRINTABLE/i.test(lines[last].split(':')[0]) && lines[last].endsWith('=')) {
+                lines[last] = lines[last].slice(0, -1) + raw;
+            } else {
+                lines.push(raw);
+            }
+        }
+        return lines.filter(line => line.trim());
+    }
+
+    /**
+     * Split "item1.TEL;TYPE=CELL:+1 555" into group, name, parameters and raw value
+     * @returns {{group: string|null, name: string, params: Object<string, string[]>, types: string[], value: string}|null}
+     */
+    parseProperty(line) {
+        // The first colon outside a quoted parameter value ends the property name
+        let colon = -1;
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            else if (line[i] === ':' && !quoted) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) return null;
+
+        const [head, ...paramParts] = line.slice(0, colon).split(';');
+        const dot = head.lastIndexOf('.');
+        const params = {};
+        const types = [];
+
+        for (const part of paramParts) {
+            const eq = part.indexOf('=');
+            // vCard 2.1 allows bare parameters: TEL;CELL;QUOTED-PRINTABLE
+            const key = (eq === -1 ? this.bareParamName(part) : part.slice(0, eq)).toUpperCase();
+            const values = (eq === -1 ? part : part.slice(eq + 1)).replace(/"/g, '').split(',');
+            params[key] = (params[key] || []).concat(values);
+            if (key === 'TYPE') types.push(...values.map(value => value.toLowerCase()));
+        }
+
+        return {
+            group: dot === -1 ? null : head.slice(0, dot),
+            name: head.slice(dot + 1).toUpperCase(),
+            params,
+            types,
+            value: line.slice(colon + 1)
+        };
+    }
+
+    bareParamName(value) {
+        const upper = value.toUpperCase();
+        if (['QUOTED-PRINTABLE', 'BASE64', '8BIT', '7BIT', 'B'].includes(upper)) return 'ENCODING';
+        return 'TYPE';
+    }
+
+    /**
+     * Raw value as text: quoted-printable decoded in its charset
+     */
+    decodeValue(property) {
+        const encoding = (property.params.ENCODING || [])[0];
+        if (!encoding || encoding.toUpperCase() !== 'QUOTED-PRINTABLE') {
+            return property.value;
+        }
+
+        const charset = (property.params.CHARSET || ['utf-8'])[0];
+        const bytes = [];
+        const value = property.value;
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.slice(i + 1, i + 3))) {
+                bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+                i += 2;
+            } else if (value.charCodeAt(i) < 0x80) {
+                bytes.push(value.charCodeAt(i));
+            } else {
+                // Not valid quoted-printable, but keep the character
+                bytes.push(...new TextEncoder().encode(value[i]));
+            }
+        }
+
+        try {
+            return new TextDecoder(charset).decode(new Uint8Array(bytes));
+        } catch (error) {
+            return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+        }
+    }
+
+    /**
+     * Split a structured value (N, ORG) on unescaped semicolons and unescape the parts
+     */
+    splitValue(value) {
+        return value.split(/(?<!\\);/).map(part => this.unescape(part));
+    }
+
+    unescape(value) {
+        return value.replace(/\\([nN,;\\])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch)).trim();
+    }
+
+    // "_$!<Mobile>!$_" is how Apple writes its built-in labels
+    cleanLabel(label) {
+        return label.replace(/^_\$!<(.*)>!\$_$/, '$1').trim();
+    }
+
+    typeLabel(property, labels) {
+        if (property.group && labels.has(property.group)) {
+            return labels.get(property.group);
+        }
+        const type = property.types.find(value => !IGNORED_TYPES.includes(value));
+        return type || null;
+    }
+
+    toContact(card) {
+        const contact = { name: '', phones: [], emails: [], organization: null, title: null };
+        let structuredName = '';
+
+        for (const property of card.properties) {
+            const value = this.decodeValue(property);
+
+            switch (property.name) {
+                case 'FN':
+                    contact.name = this.unescape(value);
+                    break;
+                case 'N': {
+                    const [family, given, additional, prefix, suffix] = this.splitValue(value);
+                    structuredName = [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+                    break;
+                }
+                case 'TEL': {
+                    const number = this.unescape(value).replace(/^tel:/i, '');
+                    if (number) contact.phones.push({ value: number, type: this.typeLabel(property, card.labels) });
+                    break;
+                }
+                case 'EMAIL': {
+                    const address = this.unescape(value).replace(/^mailto:/i, '');
+                    if (address) contact.emails.push({ value: address, type: this.typeLabel(property, card.labels) });
+                    break;
+                }
+                case 'ORG':
+                    contact.organization = this.splitValue(value).filter(Boolean).join(', ') || null;
+                    break;
+                case 'TITLE':
+                    contact.title = this.unescape(value) || null;
+                    break;
+            }
+        }
+
+        if (!contact.name) contact.name = structuredName;
+        return contact;
+    }
+
+    /**
+     * Plain-text rendering of a contact, for copying
+     */
+    static toText(contact) {
+        const lines = [contact.name || 'Unnamed contact'];
+        const work = [contact.title, contact.organization].filter(Boolean).join(', ');
+        if (work) lines.push(work);
+        for (const phone of contact.phones) {
+            lines.push(phone.type ? `${VCardParser.capitalize(phone.type)}: ${phone.value}` : phone.value);
+        }
+        for (const email of contact.emails) {
+            lines.push(email.type ? `${VCardParser.capitalize(email.type)}: ${email.value}` : email.value);
+        }
+        return lines.join('\n');
+    }
+
+    static capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+}
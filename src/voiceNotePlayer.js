@@ -0,0 +1,290 @@
+/**
+ * VoiceNotePlayer - WhatsApp-style player for voice notes
+ * Every clip plays through one shared audio element, so only one plays at a
+ * time and playback outlives the list recycling the view that started it.
+ * Views are looked up in the page by filename and redrawn from the player's
+ * state; when a clip ends the next voice note of the conversation starts.
+ */
+
+export const PLAYBACK_RATES = [1, 1.5, 2];
+
+export const WAVEFORM_BARS = 40;
+
+export class VoiceNotePlayer {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.resolveURL] - filename → URL (or a Promise of one) of the next clip
+     * @param {Function} [options.onAdvance] - Called with the filename playback moved on to
+     * @param {HTMLAudioElement} [options.audio] - Shared element; a detached one by default
+     * @param {Document|HTMLElement} [options.root] - Where views are looked up
+     */
+    constructor(options = {}) {
+        this.resolveURL = options.resolveURL || null;
+        this.onAdvance = options.onAdvance || null;
+        this.root = options.root || document;
+        this.audio = options.audio || document.createElement('audio');
+        this.rate = PLAYBACK_RATES[0];
+        this.current = null; // filename of the clip in the shared element
+        this.queue = [];
+        this.infoCache = new Map(); // url -> Promise<{duration, peaks}>
+        this.info = new Map(); // url -> {duration, peaks}, once decoded
+
+        const render = () => this.renderAll();
+        this.audio.addEventListener('play', render);
+        this.audio.addEventListener('pause', render);
+        this.audio.addEventListener('timeupdate', render);
+        this.audio.addEventListener('ended', () => this.advance());
+    }
+
+    /**
+     * Android voice notes are PTT-*.opus; iOS names them NNN-AUDIO-*.opus
+     */
+    static isVoiceNote(filename) {
+        const base = String(filename || '').split(/[\\/]/).pop();
+        return /^PTT-/i.test(base) || /^\d+-AUDIO-.*\.opus$/i.test(base);
+    }
+
+    /**
+     * "m:ss", or "-:--" while the duration is unknown
+     */
+    static formatDuration(seconds) {
+        if (!Number.isFinite(seconds) || seconds < 0) return '-:--';
+        const total = Math.floor(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Loudest sample of each of `bars` equal slices, scaled so the loudest
+     * bar is 1; all zeros for silence or clips shorter than one sample a bar
+     * @param {Float32Array} samples - One channel of decoded audio
+     */
+    static peaks(samples, bars = WAVEFORM_BARS) {
+        const size = Math.floor(samples.length / bars);
+        if (!size) return new Array(bars).fill(0);
+
+        const peaks = [];
+        for (let bar = 0; bar < bars; bar++) {
+            let max = 0;
+            for (let i = bar * size; i < (bar + 1) * size; i++) {
+                max = Math.max(max, Math.abs(samples[i]));
+            }
+            peaks.push(max);
+        }
+
+        const loudest = Math.max(...peaks);
+        return loudest ? peaks.map(peak => peak / loudest) : peaks;
+    }
+
+    /**
+     * Voice notes of the conversation in order, for auto-advance
+     * @param {string[]} filenames - Attachments in chat order; others are skipped
+     */
+    setQueue(filenames) {
+        this.queue = filenames.filter(VoiceNotePlayer.isVoiceNote);
+    }
+
+    nextInQueue(filename) {
+        const index = this.queue.indexOf(filename);
+        return index >= 0 && index < this.queue.length - 1 ? this.queue[index + 1] : null;
+    }
+
+    /**
+     * Duration and waveform of a clip, decoded once per URL
+     * @returns {Promise<{duration: number, peaks: number[]|null}>}
+     */
+    loadInfo(url) {
+        if (!this.infoCache.has(url)) {
+            this.infoCache.set(url, this.decode(url).then(info => {
+                this.info.set(url, info);
+                return info;
+            }));
+        }
+        return this.infoCache.get(url);
+    }
+
+    /**
+     * Decode with Web Audio; browsers that can't decode the clip there still
+     * give its duration through the element's metadata, without a waveform
+     */
+    async decode(url) {
+        if (typeof OfflineAudioContext !== 'undefined') {
+            try {
+                const data = await (await fetch(url)).arrayBuffer();
+                // Decoding only needs a context, not an output device
+                const context = new OfflineAudioContext(1, 1, 44100);
+                const buffer = await context.decodeAudioData(data);
+                return { duration: buffer.duration, peaks: VoiceNotePlayer.peaks(buffer.getChannelData(0)) };
+            } catch (error) {
+                console.warn('Could not decode voice note:', error);
+            }
+        }
+        return { duration: await this.readDuration(url), peaks: null };
+    }
+
+    readDuration(url) {
+        return new Promise(resolve => {
+            const probe = document.createElement('audio');
+            probe.preload = 'metadata';
+            probe.addEventListener('loadedmetadata', () => resolve(probe.duration));
+            probe.addEventListener('error', () => resolve(NaN));
+            probe.src = url;
+        });
+    }
+
+    /**
+     * Create the player for a voice note
+     * @param {string} url - Blob URL of the clip
+     * @param {string} filename - Name of the clip
+     * @returns {HTMLElement}
+     */
+    createView(url, filename) {
+        const view = document.createElement('div');
+        view.className = 'media-container media-voice-note';
+        view.dataset.filename = filename;
+        view.dataset.url = url;
+
+        const play = document.createElement('button');
+        play.type = 'button';
+        play.className = 'voice-note-play';
+        play.addEventListener('click', () => this.toggle(filename, url));
+
+        const waveform = document.createElement('div');
+        waveform.className = 'voice-note-waveform';
+        for (let i = 0; i < WAVEFORM_BARS; i++) {
+            const bar = document.createElement('span');
+            bar.className = 'voice-note-bar';
+            waveform.appendChild(bar);
+        }
+        waveform.addEventListener('click', (e) => {
+            const rect = waveform.getBoundingClientRect();
+            if (rect.width) this.seek(filename, url, (e.clientX - rect.left) / rect.width);
+        });
+
+        const time = document.createElement('span');
+        time.className = 'voice-note-time';
+
+        const rate = document.createElement('button');
+        rate.type = 'button';
+        rate.className = 'voice-note-rate';
+        rate.title = 'Playback speed';
+        rate.addEventListener('click', () => this.cycleRate());
+
+        view.append(play, waveform, time, rate);
+
+        this.loadInfo(url).then(info => {
+            this.drawWaveform(view, info.peaks);
+            this.renderView(view);
+        });
+        this.renderView(view);
+
+        return view;
+    }
+
+    drawWaveform(view, peaks) {
+        if (!peaks) return;
+        view.querySelectorAll('.voice-note-bar').forEach((bar, i) => {
+            bar.style.height = `${Math.max(0.1, peaks[i] || 0) * 100}%`;
+        });
+    }
+
+    /**
+     * Play a clip from the start, or pause/resume it if it is the current one
+     */
+    toggle(filename, url) {
+        if (this.current !== filename) {
+            return this.play(filename, url);
+        }
+        if (this.audio.paused) {
+            return this.start();
+        }
+        this.audio.pause();
+    }
+
+    /**
+     * Make a clip the current one and play it, stopping whatever played before
+     * @param {number} [fraction] - Where to start, from 0 to 1
+     */
+    play(filename, url, fraction = 0) {
+        if (!this.audio.paused) this.audio.pause();
+        this.current = filename;
+        this.audio.src = url;
+        const duration = this.info.get(url)?.duration;
+        if (fraction > 0 && Number.isFinite(duration)) {
+            this.audio.currentTime = fraction * duration;
+        }
+        return this.start();
+    }
+
+    start() {
+        // Loading a new source resets the rate to the default one
+        this.audio.defaultPlaybackRate = this.rate;
+        this.audio.playbackRate = this.rate;
+        const started = this.audio.play();
+        this.renderAll();
+        return Promise.resolve(started).catch(error => console.warn('Could not play voice note:', error));
+    }
+
+    /**
+     * Jump within a clip; a clip that isn't current starts there
+     */
+    seek(filename, url, fraction) {
+        const position = Math.min(Math.max(fraction, 0), 1);
+        if (this.current !== filename) {
+            return this.play(filename, url, position);
+        }
+        if (Number.isFinite(this.audio.duration)) {
+            this.audio.currentTime = position * this.audio.duration;
+        }
+        this.renderAll();
+    }
+
+    cycleRate() {
+        const index = PLAYBACK_RATES.indexOf(this.rate);
+        this.rate = PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length];
+        this.audio.defaultPlaybackRate = this.rate;
+        this.audio.playbackRate = this.rate;
+        this.renderAll();
+    }
+
+    /**
+     * Start the voice note after the one that ended, or stop at the last one
+     */
+    async advance() {
+        const next = this.nextInQueue(this.current);
+        const url = next && this.resolveURL ? await this.resolveURL(next) : null;
+        if (!url) {
+            this.current = null;
+            this.renderAll();
+            return;
+        }
+        await this.play(next, url);
+        if (this.onAdvance) this.onAdvance(next);
+    }
+
+    renderAll() {
+        this.root.querySelectorAll('.media-voice-note').forEach(view => this.renderView(view));
+    }
+
+    /**
+     * Show the clip's duration until it plays, then the position and progress
+     */
+    renderView(view) {
+        const active = view.dataset.filename === this.current;
+        const playing = active && !this.audio.paused;
+        const known = this.info.get(view.dataset.url)?.duration;
+        const duration = Number.isFinite(known) ? known : (active ? this.audio.duration : NaN);
+        const position = active ? this.audio.currentTime : 0;
+        const progress = duration > 0 ? position / duration : 0;
+
+        view.classList.toggle('playing', playing);
+        const play = view.querySelector('.voice-note-play');
+        play.textContent = playing ? '❚❚' : '▶';
+        play.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+        view.querySelector('.voice-note-time').textContent =
+            VoiceNotePlayer.formatDuration(position > 0 ? position : duration);
+        view.querySelector('.voice-note-rate').textContent = `${this.rate}x`;
+        view.querySelectorAll('.voice-note-bar').forEach((bar, i) => {
+            bar.classList.toggle('played', active && i < progress * WAVEFORM_BARS);
+        });
+    }
+}
@@ -1,59 +1,138 @@
 /**
  * ZipHandler - Handles ZIP file extraction with LRU cache for media files
  * Uses fflate for extraction and implements memory-efficient media handling
+ * In streaming mode only the central directory and the chat text are read up front;
+ * media entries are sliced and inflated from the archive on demand
  */
 
+// ZIP record signatures
+const SIG_LOCAL_HEADER = 0x04034b50;
+const SIG_CENTRAL_ENTRY = 0x02014b50;
+const SIG_END_OF_DIR = 0x06054b50;
+const SIG_ZIP64_END_OF_DIR = 0x06064b50;
+const SIG_ZIP64_LOCATOR = 0x07064b50;
+const MAX_END_OF_DIR_SIZE = 22 + 0xFFFF; // fixed record + max comment
+
+function getFflate() {
+    if (typeof window !== 'undefined') return window.fflate;
+    return typeof fflate !== 'undefined' ? fflate : undefined;
+}
+
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+async function readBytes(blob, start, end) {
+    return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * LRU cache bounded by entry count and by total bytes
+ * Relies on Map insertion order, so recency updates are O(1).
+ * Pinned keys are never evicted automatically.
+ */
 class LRUCache {
-    constructor(maxSize = 50) {
+    constructor({ maxSize = 50, maxBytes = Infinity, onEvict = null } = {}) {
         this.maxSize = maxSize;
-        this.cache = new Map();
-        this.accessOrder = [];
+        this.maxBytes = maxBytes;
+        this.onEvict = onEvict;
+        this.cache = new Map(); // key -> { value, bytes }, least recently used first
+        this.pins = new Map(); // key -> pin count
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
     }
 
     get(key) {
-        if (!this.cache.has(key)) {
+        const entry = this.cache.get(key);
+        if (!entry) {
+            this.misses++;
             return null;
         }
+        this.hits++;
         // Move to end (most recently used)
-        this.accessOrder = this.accessOrder.filter(k => k !== key);
-        this.accessOrder.push(key);
-        return this.cache.get(key);
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        return entry.value;
     }
 
-    set(key, value, onEvict) {
-        // If already exists, just update
-        if (this.cache.has(key)) {
-            this.cache.set(key, value);
-            this.get(key); // Update access order
-            return;
+    set(key, value, bytes = 0) {
+        const existing = this.cache.get(key);
+        if (existing) {
+            this.totalBytes -= existing.bytes;
+            this.cache.delete(key);
         }
 
-        // Check if we need to evict
-        if (this.cache.size >= this.maxSize) {
-            const lru = this.accessOrder.shift();
-            const evicted = this.cache.get(lru);
-            this.cache.delete(lru);
-            if (onEvict) {
-                onEvict(lru, evicted);
+        this.cache.set(key, { value, bytes });
+        this.totalBytes += bytes;
+        // Never evict what was just added, even if it alone exceeds the budget
+        this.trim(key);
+    }
+
+    /**
+     * Evict least recently used, unpinned entries until within both limits
+     */
+    trim(keep = null) {
+        for (const [key, entry] of this.cache) {
+            if (this.cache.size <= this.maxSize && this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            if (this.pins.has(key) || key === keep) {
+                continue;
+            }
+            this.delete(key);
+            this.evictions++;
+            if (this.onEvict) {
+                this.onEvict(key, entry.value);
             }
         }
+    }
 
-        this.cache.set(key, value);
-        this.accessOrder.push(key);
+    delete(key) {
+        const entry = this.cache.get(key);
+        if (!entry) return false;
+        this.totalBytes -= entry.bytes;
+        return this.cache.delete(key);
+    }
+
+    pin(key) {
+        this.pins.set(key, (this.pins.get(key) || 0) + 1);
+    }
+
+    unpin(key) {
+        const count = this.pins.get(key);
+        if (!count) return;
+        if (count > 1) {
+            this.pins.set(key, count - 1);
+        } else {
+            this.pins.delete(key);
+            // Entries kept only because they were pinned can go now
+            this.trim();
+        }
     }
 
     has(key) {
         return this.cache.has(key);
     }
 
-    clear(onEvict) {
-        if (onEvict) {
-            for (const [key, value] of this.cache.entries()) {
-                onEvict(key, value);
+    /**
+     * Read a value without touching recency or hit counters
+     */
+    peek(key) {
+        const entry = this.cache.get(key);
+        return entry ? entry.value : null;
+    }
+
+    clear() {
+        if (this.onEvict) {
+            for (const [key, entry] of this.cache) {
+                this.onEvict(key, entry.value);
             }
         }
         this.cache.clear();
-        this.accessOrder = [];
+        this.pins.clear();
+        this.totalBytes = 0;
     }
 
     get size() {
@@ -64,14 +143,27 @@ class LRUCache {
 export class ZipHandler {
     constructor(options = {}) {
         this.maxCacheSize = options.maxCacheSize || 50;
-        this.urlCache = new LRUCache(this.maxCacheSize);
+        this.maxCacheBytes = options.maxCacheBytes || 200 * 1024 * 1024;
+        this.streaming = !!options.streaming;
+        this.urlCache = new LRUCache({
+            maxSize: this.maxCacheSize,
+            maxBytes: this.maxCacheBytes,
+            // Revoke URL when evicted from cache
+            onEvict: (key, url) => URL.revokeObjectURL(url)
+        });
         this.mediaFiles = new Map(); // filename -> compressed data
+        this.entries = new Map(); // filename -> central directory entry (streaming mode)
+        this.pendingURLs = new Map(); // filename -> Promise<url> while an entry is being read
+        this.archive = null; // Blob entries are read from (streaming mode)
         this.missingFiles = new Set(); // Track files that don't exist
         this.chatContent = null;
         this.chatFilename = null;
         this.isLoaded = false;
         this.missingFilesAlertThreshold = 10000;
         this.hasAlertedMissingFiles = false;
+        // Called once with the count when missing files pass the threshold;
+        // the viewer answers with its media report instead of blocking the page
+        this.onMissingFiles = options.onMissingFiles || null;
     }
 
     /**
@@ -82,6 +174,10 @@ export class ZipHandler {
             throw new Error('Invalid file provided');
         }
 
+        if (this.streaming) {
+            return this.loadZipStreaming(file);
+        }
+
         try {
             // Read file as ArrayBuffer
             const arrayBuffer = await file.arrayBuffer();
@@ -131,6 +227,159 @@ export class ZipHandler {
         }
     }
 
+    /**
+     * Load ZIP lazily: read the central directory, decode the chat text right away
+     * and leave media entries in the archive until they are requested
+     */
+    async loadZipStreaming(file) {
+        try {
+            if (!getFflate()) {
+                throw new Error('fflate library not loaded');
+            }
+
+            const entries = await this.readCentralDirectory(file);
+            
+            // Clear previous data
+            this.clear();
+            this.archive = file;
+            
+            for (const entry of entries) {
+                if (entry.name.endsWith('/')) continue; // directory
+                const filename = entry.name.split('/').pop();
+                
+                if (filename.endsWith('.txt') && !this.chatContent) {
+                    const data = await this.readEntry(entry);
+                    this.chatContent = new TextDecoder('utf-8').decode(data);
+                    this.chatFilename = filename;
+                } else if (this.isMediaFile(filename)) {
+                    this.entries.set(filename, entry);
+                }
+            }
+            
+            this.isLoaded = true;
+            
+            return {
+                success: true,
+                chatFound: !!this.chatContent,
+                chatFilename: this.chatFilename,
+                mediaCount: this.entries.size,
+                mediaFiles: Array.from(this.entries.keys())
+            };
+            
+        } catch (error) {
+            throw new Error(`Failed to load ZIP: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the central directory (ZIP64 aware) without touching file contents
+     * @returns {Promise<Array<{name, method, compressedSize, size, offset}>>}
+     */
+    async readCentralDirectory(file) {
+        const tailStart = Math.max(0, file.size - MAX_END_OF_DIR_SIZE);
+        const tail = await readBytes(file, tailStart, file.size);
+        const tailView = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+        
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tailView.getUint32(i, true) === SIG_END_OF_DIR) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) {
+            throw new Error('Not a ZIP archive (end of central directory not found)');
+        }
+        
+        let count = tailView.getUint16(eocd + 10, true);
+        let dirSize = tailView.getUint32(eocd + 12, true);
+        let dirOffset = tailView.getUint32(eocd + 16, true);
+        
+        // ZIP64: real values live in the ZIP64 end of central directory record
+        const locator = eocd - 20;
+        if (locator >= 0 && tailView.getUint32(locator, true) === SIG_ZIP64_LOCATOR) {
+            const recordOffset = readUint64(tailView, locator + 8);
+            const record = await readBytes(file, recordOffset, recordOffset + 56);
+            const recordView = new DataView(record.buffer);
+            if (recordView.getUint32(0, true) !== SIG_ZIP64_END_OF_DIR) {
+                throw new Error('Corrupt ZIP64 end of central directory');
+            }
+            count = readUint64(recordView, 32);
+            dirSize = readUint64(recordView, 40);
+            dirOffset = readUint64(recordView, 48);
+        }
+        
+        const dir = await readBytes(file, dirOffset, dirOffset + dirSize);
+        const view = new DataView(dir.buffer);
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+        
+        let pos = 0;
+        for (let n = 0; n < count; n++) {
+            if (pos + 46 > dir.length || view.getUint32(pos, true) !== SIG_CENTRAL_ENTRY) {
+                throw new Error('Corrupt central directory');
+            }
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            const entry = {
+                name: decoder.decode(dir.subarray(pos + 46, pos + 46 + nameLength)),
+                method: view.getUint16(pos + 10, true),
+                compressedSize: view.getUint32(pos + 20, true),
+                size: view.getUint32(pos + 24, true),
+                offset: view.getUint32(pos + 42, true)
+            };
+            
+            // ZIP64 extra field holds the values that overflowed 32 bits, in this order
+            let extra = pos + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const id = view.getUint16(extra, true);
+                const length = view.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    for (const key of ['size', 'compressedSize', 'offset']) {
+                        if (entry[key] === 0xFFFFFFFF && field + 8 <= extra + 4 + length) {
+                            entry[key] = readUint64(view, field);
+                            field += 8;
+                        }
+                    }
+                }
+                extra += 4 + length;
+            }
+            
+            entries.push(entry);
+            pos = extraEnd + commentLength;
+        }
+        
+        return entries;
+    }
+
+    /**
+     * Get a Blob slice of an entry's (possibly compressed) data
+     */
+    async getEntrySlice(entry) {
+        const header = await readBytes(this.archive, entry.offset, entry.offset + 30);
+        const view = new DataView(header.buffer);
+        if (view.getUint32(0, true) !== SIG_LOCAL_HEADER) {
+            throw new Error(`Corrupt local header for ${entry.name}`);
+        }
+        // Local name/extra lengths may differ from the central directory copy
+        const start = entry.offset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+        return this.archive.slice(start, start + entry.compressedSize);
+    }
+
+    /**
+     * Read and decompress a single entry
+     */
+    async readEntry(entry) {
+        const slice = await this.getEntrySlice(entry);
+        const data = new Uint8Array(await slice.arrayBuffer());
+        if (entry.method === 0) return data; // stored
+        if (entry.method === 8) return getFflate().inflateSync(data); // deflate
+        throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+    }
+
     /**
      * Check if filename is a media file
      */
@@ -175,6 +424,7 @@ export class ZipHandler {
 
     /**
      * Get or create object URL for media file (with LRU caching)
+     * In streaming mode this only returns URLs of entries already read; use loadMediaURL
      */
     getMediaURL(filename) {
         if (!filename) {
@@ -192,6 +442,11 @@ export class ZipHandler {
             return cached;
         }
 
+        // Streaming entries have to be read asynchronously first
+        if (this.entries.has(filename)) {
+            return null;
+        }
+
         // Check if file exists
         if (!this.mediaFiles.has(filename)) {
             // Track missing file
@@ -200,8 +455,8 @@ export class ZipHandler {
             // Warn if too many missing files
             if (this.missingFiles.size > this.missingFilesAlertThreshold && !this.hasAlertedMissingFiles) {
                 console.warn(`Large number of missing files detected: ${this.missingFiles.size}`);
-                if (typeof alert !== 'undefined') {
-                    alert(`Warning: ${this.missingFiles.size} media files are missing from the ZIP. The export might be incomplete or corrupted.`);
+                if (this.onMissingFiles) {
+                    this.onMissingFiles(this.missingFiles.size);
                 }
                 this.hasAlertedMissingFiles = true;
             }
@@ -211,19 +466,98 @@ export class ZipHandler {
 
         // Create new blob URL
         const data = this.mediaFiles.get(filename);
-        const mimeType = this.getMimeType(filename);
-        const blob = new Blob([data], { type: mimeType });
+        const blob = new Blob([data], { type: this.getMimeType(filename) });
+        return this.cacheBlobURL(filename, blob);
+    }
+
+    /**
+     * Get object URL for media file, reading it from the archive if needed
+     * Works in both modes; in streaming mode this is where entries get inflated
+     * @returns {Promise<string|null>}
+     */
+    async loadMediaURL(filename) {
+        const url = this.getMediaURL(filename);
+        if (url || !this.entries.has(filename)) {
+            return url;
+        }
+
+        // Share one read between concurrent requests
+        if (this.pendingURLs.has(filename)) {
+            return this.pendingURLs.get(filename);
+        }
+
+        const archive = this.archive;
+        const pending = (async () => {
+            const entry = this.entries.get(filename);
+            const type = this.getMimeType(filename);
+            // Stored entries are sliced straight from the archive without copying
+            const blob = entry.method === 0 ?
+                new Blob([await this.getEntrySlice(entry)], { type }) :
+                new Blob([await this.readEntry(entry)], { type });
+            if (this.archive !== archive) {
+                return null; // archive was replaced while reading
+            }
+            return this.cacheBlobURL(filename, blob);
+        })();
+
+        this.pendingURLs.set(filename, pending);
+        try {
+            return await pending;
+        } finally {
+            if (this.pendingURLs.get(filename) === pending) {
+                this.pendingURLs.delete(filename);
+            }
+        }
+    }
+
+    /**
+     * Read a media file's bytes (document previews)
+     * @returns {Promise<Uint8Array|null>} null when the file isn't in the archive
+     */
+    async getMediaData(filename) {
+        let data = this.mediaFiles.get(filename);
+        if (!data && this.entries.has(filename)) {
+            data = await this.readEntry(this.entries.get(filename));
+        }
+        return data || null;
+    }
+
+    /**
+     * Read a media file as UTF-8 text (vCards)
+     * @returns {Promise<string|null>} null when the file isn't in the archive
+     */
+    async getMediaText(filename) {
+        const data = await this.getMediaData(filename);
+        return data ? new TextDecoder('utf-8').decode(data) : null;
+    }
+
+    /**
+     * Create a blob URL and store it in the LRU cache
+     */
+    cacheBlobURL(filename, blob) {
         const url = URL.createObjectURL(blob);
         
-        // Store in cache with eviction callback
-        this.urlCache.set(filename, url, (evictedKey, evictedUrl) => {
-            // Revoke URL when evicted from cache
-            URL.revokeObjectURL(evictedUrl);
-        });
+        // Blob size is what the URL keeps alive
+        this.urlCache.set(filename, url, blob.size);
         
         return url;
     }
 
+    /**
+     * Keep a file's URL cached while it is on screen or open in the lightbox
+     * Calls nest: each pinMedia needs a matching unpinMedia
+     */
+    pinMedia(filename) {
+        this.urlCache.pin(filename);
+    }
+
+    /**
+     * Release a pin taken with pinMedia
+     */
+    unpinMedia(filename) {
+        this.urlCache.unpin(filename);
+    }
+
     /**
      * Preload specific media files into cache
      */
@@ -258,14 +592,14 @@ export class ZipHandler {
      * Check if a media file exists
      */
     hasMedia(filename) {
-        return this.mediaFiles.has(filename);
+        return this.mediaFiles.has(filename) || this.entries.has(filename);
     }
 
     /**
      * Get list of all media files
      */
     getMediaList() {
-        return Array.from(this.mediaFiles.keys());
+        return [...this.mediaFiles.keys(), ...this.entries.keys()];
     }
 
     /**
@@ -275,7 +609,13 @@ export class ZipHandler {
         return {
             cacheSize: this.urlCache.size,
             maxCacheSize: this.maxCacheSize,
-            totalMedia: this.mediaFiles.size,
+            cacheBytes: this.urlCache.totalBytes,
+            maxCacheBytes: this.maxCacheBytes,
+            pinned: this.urlCache.pins.size,
+            hits: this.urlCache.hits,
+            misses: this.urlCache.misses,
+            evictions: this.urlCache.evictions,
+            totalMedia: this.mediaFiles.size + this.entries.size,
             missingFiles: this.missingFiles.size,
             cacheUtilization: (this.urlCache.size / this.maxCacheSize) * 100
         };
@@ -285,11 +625,10 @@ export class ZipHandler {
      * Clear specific URL from cache
      */
     evictFromCache(filename) {
-        const url = this.urlCache.get(filename);
+        const url = this.urlCache.peek(filename);
         if (url) {
             URL.revokeObjectURL(url);
-            this.urlCache.cache.delete(filename);
-            this.urlCache.accessOrder = this.urlCache.accessOrder.filter(k => k !== filename);
+            this.urlCache.delete(filename);
         }
     }
 
@@ -298,12 +637,13 @@ export class ZipHandler {
      */
     clear() {
         // Revoke all cached URLs
-        this.urlCache.clear((key, url) => {
-            URL.revokeObjectURL(url);
-        });
+        this.urlCache.clear();
         
         // Clear all data
         this.mediaFiles.clear();
+        this.entries.clear();
+        this.pendingURLs.clear();
+        this.archive = null;
         this.missingFiles.clear();
         this.chatContent = null;
         this.chatFilename = null;
@@ -0,0 +1,153 @@
+import { ChatAnalytics } from '../src/chatAnalytics.js';
+import { StateManager } from '../src/stateManager.js';
+
+describe('ChatAnalytics', () => {
+    let stateManager;
+    let analytics;
+    let messages;
+
+    function msg(sender, date, text = 'hi', extra = {}) {
+        return {
+            date,
+            sender,
+            text,
+            isSystem: sender === 'System',
+            hasMedia: false,
+            mediaType: null,
+            ...extra
+        };
+    }
+
+    beforeEach(() => {
+        stateManager = new StateManager();
+        analytics = new ChatAnalytics(stateManager, { topCount: 2 });
+        messages = [
+            msg('Alice', new Date(2024, 0, 1, 9, 0)),               // Monday
+            msg('Bob', new Date(2024, 0, 1, 9, 10)),                // reply after 10 min
+            msg('Alice', new Date(2024, 0, 1, 9, 14)),              // reply after 4 min
+            msg('Alice', new Date(2024, 0, 1, 9, 15), 'photo', { hasMedia: true, mediaType: 'image' }),
+            msg('System', new Date(2024, 0, 2, 12, 0), 'Alice added Carol'),
+            msg('Bob', new Date(2024, 2, 5, 20, 0), 'anyone?'),     // long silence, not a reply
+            msg('Alice', new Date(2024, 2, 5, 20, 30))              // reply after 30 min
+        ];
+        stateManager.setMessages(messages);
+    });
+
+    describe('Participants', () => {
+        it('should count messages and media per participant', () => {
+            const result = analytics.compute(messages);
+
+            expect(result.participants.map(p => [p.sender, p.messages, p.mediaMessages])).toEqual([
+                ['Alice', 4, 1],
+                ['Bob', 2, 0]
+            ]);
+            expect(result.participants[0].share).toBeCloseTo(4 / 6);
+        });
+
+        it('should include the calculateStats summary', () => {
+            const result = analytics.compute(messages);
+
+            expect(result.summary.totalMessages).toBe(7);
+            expect(result.summary.participants).toEqual(['Alice', 'Bob']);
+        });
+    });
+
+    describe('Activity', () => {
+        it('should bucket messages by weekday and hour', () => {
+            const { heatmap } = analytics.compute(messages);
+
+            expect(heatmap.length).toBe(7);
+            expect(heatmap[1][9]).toBe(4);   // Monday 09:00
+            expect(heatmap[2][12]).toBe(1);  // Tuesday, system messages count as activity
+            expect(heatmap[2][20]).toBe(2);  // 5 March 2024 was a Tuesday
+        });
+
+        it('should list every month between the first and last message', () => {
+            expect(analytics.compute(messages).perMonth).toEqual([
+                { month: '2024-01', count: 5 },
+                { month: '2024-02', count: 0 },
+                { month: '2024-03', count: 2 }
+            ]);
+        });
+
+        it('should rank the most active days', () => {
+            expect(analytics.compute(messages).mostActiveDays).toEqual([
+                { day: '2024-01-01', count: 4 },
+                { day: '2024-03-05', count: 2 }
+            ]);
+        });
+
+        it('should find the longest silences between participant messages', () => {
+            const [longest, second] = analytics.compute(messages).longestSilences;
+
+            expect(longest.start).toEqual(new Date(2024, 0, 1, 9, 15));
+            expect(longest.end).toEqual(new Date(2024, 2, 5, 20, 0));
+            expect(second.duration).toBe(30 * 60 * 1000);
+        });
+
+        it('should keep only the longest silences, the earlier first on a tie', () => {
+            // Gaps of 1, 3, 2, 3, 5, 1, 4 and 2 hours
+            let time = new Date(2024, 0, 1).getTime();
+            const long = [0, 1, 3, 2, 3, 5, 1, 4, 2].map((hours, i) => {
+                time += hours * 3600000;
+                return msg(i % 2 ? 'Bob' : 'Alice', new Date(time));
+            });
+
+            const silences = new ChatAnalytics(stateManager).compute(long).longestSilences;
+
+            expect(silences.map(s => s.duration / 3600000)).toEqual([5, 4, 3, 3, 2]);
+            expect(silences[2].start).toEqual(long[1].date);
+            expect(silences[3].start).toEqual(long[3].date);
+            expect(silences[4].start).toEqual(long[2].date);
+        });
+    });
+
+    describe('Reply Times', () => {
+        it('should take the median of replies within the reply window', () => {
+            const result = analytics.compute(messages);
+
+            expect(result.medianReplyTime).toBe(10 * 60 * 1000); // 4, 10 and 30 minutes
+            expect(result.participants.find(p => p.sender === 'Alice').medianReplyTime).toBe(17 * 60 * 1000);
+            expect(result.participants.find(p => p.sender === 'Bob').medianReplyTime).toBe(10 * 60 * 1000);
+        });
+
+        it('should report no median without replies', () => {
+            expect(analytics.compute([messages[0]]).medianReplyTime).toBeNull();
+        });
+    });
+
+    describe('Live Updates', () => {
+        it('should recompute when the filter changes', () => {
+            const callback = jasmine.createSpy('callback');
+            analytics.watch(callback);
+
+            stateManager.applyFilter({ text: 'anyone' });
+
+            expect(callback).toHaveBeenCalledTimes(2);
+            const latest = callback.calls.mostRecent().args[0];
+            expect(latest.summary.totalMessages).toBe(1);
+            expect(latest.participants.map(p => p.sender)).toEqual(['Bob']);
+        });
+
+        it('should stop updating after unsubscribing', () => {
+            const callback = jasmine.createSpy('callback');
+            const unsubscribe = analytics.watch(callback);
+
+            unsubscribe();
+            stateManager.applyFilter({ text: 'anyone' });
+
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Edge Cases', () => {
+        it('should handle no messages', () => {
+            const result = analytics.compute([]);
+
+            expect(result.participants).toEqual([]);
+            expect(result.perMonth).toEqual([]);
+            expect(result.longestSilences).toEqual([]);
+            expect(result.heatmap.every(row => row.every(n => n === 0))).toBe(true);
+        });
+    });
+});
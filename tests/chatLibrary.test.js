@@ -0,0 +1,168 @@
+import { ChatLibrary } from '../src/chatLibrary.js';
+import { buildZip } from './zipBuilder.js';
+
+describe('ChatLibrary', () => {
+    let library;
+    let familyZip;
+    let workZip;
+
+    beforeEach(() => {
+        // Stored entries need no inflating, but streaming mode checks for fflate
+        if (typeof window !== 'undefined') {
+            window.fflate = window.fflate || {
+                unzipSync: jasmine.createSpy('unzipSync')
+            };
+        }
+        spyOn(URL, 'createObjectURL').and.returnValue('blob:test');
+        spyOn(URL, 'revokeObjectURL');
+
+        library = new ChatLibrary({ zipOptions: { streaming: true } });
+        familyZip = buildZip({
+            '_chat.txt': '[01/02/2024, 10:00:00] Mum: Dinner at 7\n[01/02/2024, 10:01:00] Dad: OK\n',
+            'IMG-20240201-WA0001.jpg': 'jpeg'
+        });
+        workZip = buildZip({
+            '_chat.txt': '[03/02/2024, 09:00:00] Boss: Standup moved\n'
+        });
+    });
+
+    afterEach(() => {
+        library.clear();
+    });
+
+    describe('Loading', () => {
+        it('should keep each chat separate', async () => {
+            const family = await library.addChat(familyZip, 'Family.zip');
+            const work = await library.addChat(workZip, 'Work.zip');
+
+            expect(family.stateManager.getAllMessages().length).toBe(2);
+            expect(work.stateManager.getAllMessages().length).toBe(1);
+            expect(family.zipHandler.hasMedia('IMG-20240201-WA0001.jpg')).toBe(true);
+            expect(work.zipHandler.hasMedia('IMG-20240201-WA0001.jpg')).toBe(false);
+        });
+
+        it('should activate the first chat only', async () => {
+            const family = await library.addChat(familyZip, 'Family.zip');
+            await library.addChat(workZip, 'Work.zip');
+
+            expect(library.getActiveChat()).toBe(family);
+        });
+
+        it('should reject archives without a transcript', async () => {
+            const noChat = buildZip({ 'IMG-1.jpg': 'jpeg' });
+
+            await expectAsync(library.addChat(noChat, 'Photos.zip'))
+                .toBeRejectedWithError('No chat transcript found in Photos.zip');
+            expect(library.chats.size).toBe(0);
+        });
+
+        it('should list chats in load order', async () => {
+            await library.addChat(familyZip, 'Family.zip');
+            await library.addChat(workZip, 'Work.zip');
+
+            expect(library.listChats()).toEqual([
+                { id: 1, name: 'Family.zip', messageCount: 2, active: true },
+                { id: 2, name: 'Work.zip', messageCount: 1, active: false }
+            ]);
+        });
+    });
+
+    describe('Switching', () => {
+        it('should emit chat:switched with the previous chat', async () => {
+            const family = await library.addChat(familyZip, 'Family.zip');
+            const work = await library.addChat(workZip, 'Work.zip');
+            const callback = jasmine.createSpy('callback');
+            library.subscribe('chat:switched', callback);
+
+            library.switchTo(work.id);
+
+            expect(callback).toHaveBeenCalledWith({ chat: work, previous: family });
+            expect(library.getActiveChat()).toBe(work);
+        });
+
+        it('should remember scroll position per chat', async () => {
+            const family = await library.addChat(familyZip, 'Family.zip');
+            const work = await library.addChat(workZip, 'Work.zip');
+
+            library.switchTo(work.id, { scrollTop: 420 });
+            library.switchTo(family.id, { scrollTop: 15 });
+
+            expect(family.scrollTop).toBe(420);
+            expect(work.scrollTop).toBe(15);
+        });
+
+        it('should keep filters per chat', async () => {
+            const family = await library.addChat(familyZip, 'Family.zip');
+            const work = await library.addChat(workZip, 'Work.zip');
+
+            family.stateManager.applyFilter({ text: 'dinner' });
+            library.switchTo(work.id);
+
+            expect(work.stateManager.getFilter().text).toBe('');
+            expect(family.stateManager.getFilteredMessages().length).toBe(1);
+        });
+
+        it('should throw for unknown chats', () => {
+            expect(() => library.switchTo(99)).toThrowError('Unknown chat: 99');
+        });
+    });
+
+    describe('Identity', () => {
+        let store;
+
+        beforeEach(() => {
+            store = {};
+            spyOn(localStorage, 'getItem').and.callFake(key => store[key] ?? null);
+            spyOn(localStorage, 'setItem').and.callFake((key, value) => { store[key] = value; });
+        });
+
+        it('should guess "me" from a one-to-one export name', async () => {
+            const chat = await library.addChat(familyZip, 'WhatsApp Chat with Mum.zip');
+
+            expect(chat.me).toEqual({ sender: 'Dad', source: 'filename' });
+        });
+
+        it('should remember the chosen participant per chat', async () => {
+            const family = await library.addChat(familyZip, 'Family.zip');
+            const identity = jasmine.createSpy('identity');
+            library.subscribe('chat:identity', identity);
+
+            expect(family.me).toEqual({ sender: 'Dad', source: 'position' });
+            library.setMe(family.id, 'Mum');
+            expect(identity).toHaveBeenCalledWith({ chat: family });
+
+            const reloaded = await library.addChat(familyZip, 'Family.zip');
+            expect(reloaded.me).toEqual({ sender: 'Mum', source: 'saved' });
+        });
+
+        it('should remember that nobody is me instead of guessing again', async () => {
+            const family = await library.addChat(familyZip, 'WhatsApp Chat with Mum.zip');
+
+            expect(library.setMe(family.id, null)).toBeNull();
+
+            const reloaded = await library.addChat(familyZip, 'WhatsApp Chat with Mum.zip');
+            expect(reloaded.me).toBeNull();
+        });
+    });
+
+    describe('Removing', () => {
+        it('should hand over to the next chat when the active one is removed', async () => {
+            const family = await library.addChat(familyZip, 'Family.zip');
+            const work = await library.addChat(workZip, 'Work.zip');
+
+            expect(library.removeChat(family.id)).toBe(true);
+
+            expect(library.getActiveChat()).toBe(work);
+            expect(library.getChat(family.id)).toBeNull();
+        });
+
+        it('should leave no active chat after removing the last one', async () => {
+            const family = await library.addChat(familyZip, 'Family.zip');
+
+            library.removeChat(family.id);
+
+            expect(library.getActiveChat()).toBeNull();
+            expect(library.removeChat(family.id)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+import { ChatMerger } from '../src/chatMerger.js';
+import { MessageParser } from '../src/messageParser.js';
+
+describe('ChatMerger', () => {
+    let merger;
+    let parser;
+
+    function exportOf(name, lines, mediaFiles = []) {
+        return { name, messages: parser.parse(lines.join('\n')).messages, mediaFiles };
+    }
+
+    beforeEach(() => {
+        merger = new ChatMerger();
+        parser = new MessageParser({ dateOrder: 'DMY' });
+    });
+
+    describe('Deduplication', () => {
+        it('should merge overlapping exports into one timeline', () => {
+            const january = exportOf('january.zip', [
+                '[01/01/2024, 10:00:00] Alice: Happy new year',
+                '[01/01/2024, 10:05:00] Bob: You too'
+            ]);
+            const february = exportOf('february.zip', [
+                '[01/01/2024, 10:05:00] Bob: You too',
+                '[02/02/2024, 09:00:00] Alice: Back at work'
+            ]);
+
+            const result = merger.merge([january, february]);
+
+            expect(result.messages.map(m => m.text)).toEqual(['Happy new year', 'You too', 'Back at work']);
+            expect(result.stats.inputMessages).toBe(4);
+            expect(result.stats.duplicates).toBe(1);
+            expect(result.stats.mergedMessages).toBe(3);
+        });
+
+        it('should order messages by timestamp regardless of source order', () => {
+            const later = exportOf('later.zip', ['[05/01/2024, 10:00:00] Alice: Second']);
+            const earlier = exportOf('earlier.zip', ['[04/01/2024, 10:00:00] Alice: First']);
+
+            const result = merger.merge([later, earlier]);
+
+            expect(result.messages.map(m => m.text)).toEqual(['First', 'Second']);
+        });
+
+        it('should keep repeated messages that appear repeatedly in one export', () => {
+            const a = exportOf('a.zip', [
+                '[01/01/2024, 10:00:00] Bob: ok',
+                '[01/01/2024, 10:00:00] Bob: ok'
+            ]);
+            const b = exportOf('b.zip', ['[01/01/2024, 10:00:00] Bob: ok']);
+
+            const result = merger.merge([a, b]);
+
+            expect(result.messages.length).toBe(2);
+            expect(result.stats.duplicates).toBe(1);
+            expect(result.conflicts.length).toBe(1); // b has one "ok" where a has two
+        });
+
+        it('should prefer the copy that kept its attachment', () => {
+            const withoutMedia = exportOf('text-only.zip', ['[01/01/2024, 10:00:00] Alice: <Media omitted>']);
+            const withMedia = exportOf('with-media.zip', ['[01/01/2024, 10:00:00] Alice: <attached: IMG-1.jpg>'], ['IMG-1.jpg']);
+
+            const result = merger.merge([withoutMedia, withMedia]);
+
+            expect(result.messages.length).toBe(1);
+            expect(result.messages[0].mediaFilename).toBe('IMG-1.jpg');
+            expect(result.stats.mediaRecovered).toBe(1);
+            expect(result.conflicts.length).toBe(0);
+        });
+
+        it('should match a captioned attachment with the placeholder of an export without media', () => {
+            const withoutMedia = exportOf('text-only.zip', [
+                '[01/01/2024, 10:00:00] Alice: <Media omitted>',
+                '[01/01/2024, 10:00:00] Alice: <Media omitted>'
+            ]);
+            const withMedia = exportOf('with-media.zip', [
+                '[01/01/2024, 10:00:00] Alice: IMG-1.jpg (file attached)',
+                'Look at this',
+                '[01/01/2024, 10:00:00] Alice: <attached: IMG-2.jpg>',
+                'And this'
+            ], ['IMG-1.jpg', 'IMG-2.jpg']);
+
+            const result = merger.merge([withoutMedia, withMedia]);
+
+            expect(result.messages.map(m => m.mediaFilename)).toEqual(['IMG-1.jpg', 'IMG-2.jpg']);
+            expect(result.stats.mediaRecovered).toBe(2);
+            expect(result.conflicts.length).toBe(0);
+        });
+
+        it('should keep a third captioned attachment the placeholders cannot account for', () => {
+            const withMedia = exportOf('with-media.zip', [
+                '[01/01/2024, 10:00:00] Alice: <attached: IMG-1.jpg>',
+                'One',
+                '[01/01/2024, 10:00:00] Alice: <attached: IMG-2.jpg>',
+                'Two'
+            ], ['IMG-1.jpg', 'IMG-2.jpg']);
+            const withoutMedia = exportOf('text-only.zip', ['[01/01/2024, 10:00:00] Alice: image omitted']);
+
+            const result = merger.merge([withMedia, withoutMedia]);
+
+            expect(result.messages.map(m => m.mediaFilename)).toEqual(['IMG-1.jpg', 'IMG-2.jpg']);
+            expect(result.stats.duplicates).toBe(1);
+        });
+    });
+
+    describe('Media', () => {
+        it('should pool media from every archive, first export winning', () => {
+            const a = exportOf('a.zip', [], ['IMG-1.jpg', 'IMG-2.jpg']);
+            const b = exportOf('b.zip', [], ['IMG-2.jpg', 'VID-3.mp4']);
+
+            const result = merger.merge([a, b]);
+
+            expect(Array.from(result.media.entries())).toEqual([
+                ['IMG-1.jpg', 'a.zip'],
+                ['IMG-2.jpg', 'a.zip'],
+                ['VID-3.mp4', 'b.zip']
+            ]);
+        });
+    });
+
+    describe('Conflicts', () => {
+        it('should report the same timestamp with different text', () => {
+            const a = exportOf('a.zip', ['[01/01/2024, 10:00:00] Alice: Meet at 6']);
+            const b = exportOf('b.zip', ['[01/01/2024, 10:00:00] Alice: Meet at 7']);
+
+            const result = merger.merge([a, b]);
+
+            expect(result.messages.length).toBe(2); // both versions are kept
+            expect(result.conflicts).toEqual([{
+                date: new Date(2024, 0, 1, 10, 0, 0),
+                sender: 'Alice',
+                variants: [
+                    { source: 'a.zip', texts: ['Meet at 6'] },
+                    { source: 'b.zip', texts: ['Meet at 7'] }
+                ]
+            }]);
+            expect(result.stats.conflicts).toBe(1);
+        });
+
+        it('should not report slots only one export covers', () => {
+            const a = exportOf('a.zip', ['[01/01/2024, 10:00:00] Alice: Only here']);
+            const b = exportOf('b.zip', ['[01/01/2024, 10:00:00] Bob: Different sender']);
+
+            expect(merger.merge([a, b]).conflicts.length).toBe(0);
+        });
+    });
+
+    describe('Error Handling', () => {
+        it('should throw when there is nothing to merge', () => {
+            expect(() => merger.merge([])).toThrowError('No chats to merge');
+        });
+    });
+});
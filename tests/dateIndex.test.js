@@ -0,0 +1,89 @@
+import { DateIndex } from '../src/dateIndex.js';
+
+describe('DateIndex', () => {
+    let index;
+
+    const at = (day, hour = 12, month = 0) => ({ date: new Date(2024, month, day, hour) });
+
+    // Positions:   0         1          2       3         4          5
+    const messages = [at(1, 9), at(1, 18), { }, at(4, 10), at(20, 8), at(3, 7, 1)];
+
+    beforeEach(() => {
+        index = new DateIndex(messages);
+    });
+
+    describe('Lookups', () => {
+        it('should skip undated messages', () => {
+            expect(index.size).toBe(5);
+        });
+
+        it('should find messages at or around a time', () => {
+            expect(index.firstAtOrAfter(new Date(2024, 0, 2))).toBe(3);
+            expect(index.lastAtOrBefore(new Date(2024, 0, 2))).toBe(1);
+            expect(index.firstAtOrAfter(new Date(2024, 1, 4))).toBe(-1);
+            expect(index.lastAtOrBefore(new Date(2023, 11, 31))).toBe(-1);
+        });
+
+        it('should include messages at exactly the time', () => {
+            expect(index.firstAtOrAfter(new Date(2024, 0, 4, 10))).toBe(3);
+            expect(index.lastAtOrBefore(new Date(2024, 0, 4, 10))).toBe(3);
+        });
+
+        it('should find the nearest message', () => {
+            expect(index.nearest(new Date(2024, 0, 3))).toBe(1);
+            expect(index.nearest(new Date(2024, 0, 3, 12))).toBe(3);
+            expect(index.nearest(new Date(2023, 0, 1))).toBe(0);
+            expect(index.nearest(new Date(2025, 0, 1))).toBe(5);
+            expect(new DateIndex([{}]).nearest(new Date())).toBe(-1);
+        });
+
+        it('should find the first message of a day', () => {
+            expect(index.firstOnDay(new Date(2024, 0, 1, 23))).toBe(0);
+            expect(index.firstOnDay(new Date(2024, 0, 2))).toBe(-1);
+        });
+    });
+
+    describe('Clock Skew', () => {
+        it('should find messages whose timestamps go backwards', () => {
+            // The phone's clock was corrected: position 2 is dated before position 1
+            index = new DateIndex([at(10), at(12), at(11), at(13)]);
+
+            expect(index.firstAtOrAfter(new Date(2024, 0, 11))).toBe(2);
+            expect(index.lastAtOrBefore(new Date(2024, 0, 11, 23))).toBe(2);
+            expect(index.earliest()).toBe(0);
+            expect(index.latest()).toBe(3);
+        });
+
+        it('should keep order when skewed messages are appended later', () => {
+            index = new DateIndex([at(10), at(12)]);
+            index.add(2, new Date(2024, 0, 11, 12));
+            index.add(3, new Date(2024, 0, 11, 12));
+
+            expect(index.firstOnDay(new Date(2024, 0, 11))).toBe(2);
+            expect(index.lastAtOrBefore(new Date(2024, 0, 11, 12))).toBe(3);
+        });
+    });
+
+    describe('Relative Navigation', () => {
+        it('should step to the next and previous day with messages', () => {
+            const from = new Date(2024, 0, 4, 10);
+            expect(index.stepFrom(from, 'day', 1)).toBe(4);
+            expect(index.stepFrom(from, 'day', -1)).toBe(0);
+        });
+
+        it('should step to the next and previous month with messages', () => {
+            expect(index.stepFrom(new Date(2024, 0, 1), 'month', 1)).toBe(5);
+            expect(index.stepFrom(new Date(2024, 1, 3), 'month', -1)).toBe(0);
+            expect(index.stepFrom(new Date(2024, 2, 15), 'month', -1)).toBe(5);
+        });
+
+        it('should give -1 past either end', () => {
+            expect(index.stepFrom(new Date(2024, 1, 3), 'day', 1)).toBe(-1);
+            expect(index.stepFrom(new Date(2024, 0, 1), 'month', -1)).toBe(-1);
+        });
+
+        it('should reject unknown units', () => {
+            expect(() => index.stepFrom(new Date(), 'week', 1)).toThrowError(/Unknown date unit/);
+        });
+    });
+});
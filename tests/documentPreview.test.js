@@ -0,0 +1,135 @@
+import { DocumentPreview, TEXT_PREVIEW_LIMIT } from '../src/documentPreview.js';
+
+describe('DocumentPreview', () => {
+    let preview;
+
+    const latin1 = (text) => Uint8Array.from(text, ch => ch.charCodeAt(0));
+
+    const PDF = [
+        '%PDF-1.7',
+        '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+        '2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 >> endobj',
+        '3 0 obj << /Type /Page /Parent 2 0 R >> endobj',
+        '4 0 obj << /Type /Page /Parent 2 0 R >> endobj',
+        '5 0 obj << /Type /Page /Parent 2 0 R >> endobj',
+        '%%EOF'
+    ].join('\n');
+
+    beforeEach(() => {
+        preview = new DocumentPreview();
+    });
+
+    afterEach(() => {
+        document.querySelectorAll('.document-preview').forEach(el => el.remove());
+    });
+
+    describe('Preview Kinds', () => {
+        it('should preview PDFs and plain-text files only', () => {
+            expect(DocumentPreview.previewKind('Report.PDF')).toBe('pdf');
+            expect(DocumentPreview.previewKind('notes.txt')).toBe('text');
+            expect(DocumentPreview.previewKind('data.csv')).toBe('text');
+            expect(DocumentPreview.previewKind('slides.pptx')).toBeNull();
+            expect(DocumentPreview.previewKind('')).toBeNull();
+        });
+    });
+
+    describe('Text Encoding', () => {
+        it('should detect byte order marks', () => {
+            expect(preview.detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41]))).toBe('utf-8');
+            expect(preview.detectEncoding(new Uint8Array([0xFF, 0xFE, 0x41, 0x00]))).toBe('utf-16le');
+            expect(preview.detectEncoding(new Uint8Array([0xFE, 0xFF, 0x00, 0x41]))).toBe('utf-16be');
+        });
+
+        it('should detect UTF-16 without a byte order mark', () => {
+            expect(preview.detectEncoding(latin1('H\0i\0!\0'))).toBe('utf-16le');
+            expect(preview.detectEncoding(latin1('\0H\0i\0!'))).toBe('utf-16be');
+        });
+
+        it('should fall back to windows-1252 when the bytes are not UTF-8', () => {
+            expect(preview.detectEncoding(new TextEncoder().encode('Grüße'))).toBe('utf-8');
+            expect(preview.detectEncoding(latin1('Gr\xfc\xdfe'))).toBe('windows-1252');
+        });
+
+        it('should decode text in the detected encoding without the mark', () => {
+            const { text, encoding, truncated } = preview.decodeText(new Uint8Array([0xFF, 0xFE, 0x48, 0x00, 0x69, 0x00]));
+            expect(text).toBe('Hi');
+            expect(encoding).toBe('utf-16le');
+            expect(truncated).toBe(false);
+
+            expect(preview.decodeText(latin1('caf\xe9')).text).toBe('café');
+        });
+
+        it('should cut long files to the limit before decoding, dropping a split character', () => {
+            // "é" is two bytes in UTF-8; its first byte is the last one kept
+            const bytes = new TextEncoder().encode('a\n'.repeat(TEXT_PREVIEW_LIMIT / 2 - 1) + 'aé' + 'b'.repeat(10));
+            const { text, encoding, truncated } = preview.decodeText(bytes);
+
+            expect(truncated).toBe(true);
+            expect(encoding).toBe('utf-8');
+            expect(text.length).toBe(TEXT_PREVIEW_LIMIT - 1);
+            expect(text.endsWith('\na')).toBe(true);
+            expect(text).not.toContain('\uFFFD');
+            expect(preview.describe('text', bytes, { text, encoding, truncated })).toMatch(/^UTF-8 · 262144\+ lines · /);
+        });
+    });
+
+    describe('PDF Metadata', () => {
+        it('should read the version and the page tree count', () => {
+            expect(preview.pdfInfo(latin1(PDF))).toEqual({ version: '1.7', pageCount: 3 });
+        });
+
+        it('should count page objects when the tree has no count', () => {
+            const pdf = '%PDF-1.4\n<< /Type /Pages >>\n<< /Type/Page >>\n<< /Type/Page >>';
+            expect(preview.pdfInfo(latin1(pdf))).toEqual({ version: '1.4', pageCount: 2 });
+        });
+
+        it('should give null when the pages are not visible', () => {
+            expect(preview.pdfInfo(latin1('not a pdf'))).toEqual({ version: null, pageCount: null });
+        });
+    });
+
+    describe('Panel', () => {
+        it('should show PDFs through the built-in viewer with their metadata', () => {
+            const bytes = latin1(PDF);
+            const panel = preview.createPanel('report.pdf', 'blob:test/1', bytes);
+            const frame = panel.querySelector('iframe.document-preview-frame');
+
+            expect(frame.getAttribute('src')).toBe('blob:test/1#pagemode=thumbs');
+            expect(panel.querySelector('.document-preview-name').textContent).toBe('report.pdf');
+            expect(panel.querySelector('.document-preview-meta').textContent).toBe(`PDF 1.7 · 3 pages · ${bytes.length} B`);
+            expect(panel.querySelector('.media-download').getAttribute('href')).toBe('blob:test/1');
+        });
+
+        it('should show text as text, never as markup', () => {
+            const panel = preview.createPanel('notes.txt', 'blob:test/2', new TextEncoder().encode('<b>one</b>\ntwo'));
+            const text = panel.querySelector('pre.document-preview-text');
+
+            expect(text.textContent).toBe('<b>one</b>\ntwo');
+            expect(text.querySelector('b')).toBeNull();
+            expect(panel.querySelector('.document-preview-meta').textContent).toBe('UTF-8 · 2 lines · 14 B');
+        });
+
+        it('should close from the button and call back', () => {
+            const onClose = jasmine.createSpy('onClose');
+            const panel = preview.createPanel('notes.txt', 'blob:test/3', new Uint8Array([0x41]), onClose);
+            document.body.appendChild(panel);
+
+            panel.querySelector('.document-preview-close').click();
+
+            expect(panel.parentNode).toBeNull();
+            expect(onClose).toHaveBeenCalledTimes(1);
+        });
+
+        it('should refuse files it cannot preview', () => {
+            expect(() => preview.createPanel('slides.pptx', 'blob:test/4', new Uint8Array())).toThrowError(/No preview/);
+        });
+    });
+
+    describe('Sizes', () => {
+        it('should format sizes', () => {
+            expect(preview.formatSize(512)).toBe('512 B');
+            expect(preview.formatSize(1536)).toBe('1.5 KB');
+            expect(preview.formatSize(5 * 1024 * 1024)).toBe('5 MB');
+        });
+    });
+});
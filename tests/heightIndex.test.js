@@ -0,0 +1,90 @@
+import { HeightIndex } from '../src/heightIndex.js';
+
+describe('HeightIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new HeightIndex(10, { estimate: 50 });
+    });
+
+    describe('Estimates', () => {
+        it('should lay out unmeasured items at the initial estimate', () => {
+            expect(index.offsetOf(0)).toBe(0);
+            expect(index.offsetOf(4)).toBe(200);
+            expect(index.total()).toBe(500);
+            expect(index.get(3)).toBe(50);
+        });
+
+        it('should estimate unmeasured items from the measured average', () => {
+            index.set(0, 100);
+            index.set(1, 20);
+
+            expect(index.estimate).toBe(60);
+            expect(index.get(5)).toBe(60);
+            expect(index.total()).toBe(100 + 20 + 8 * 60);
+        });
+
+        it('should keep the estimate above its minimum', () => {
+            index = new HeightIndex(3, { estimate: 50, minEstimate: 35 });
+            index.set(0, 10);
+            expect(index.estimate).toBe(35);
+        });
+    });
+
+    describe('Measuring', () => {
+        it('should give offsets from measured heights', () => {
+            index.set(2, 80);
+            index.set(5, 30);
+
+            expect(index.offsetOf(2)).toBe(2 * 55);
+            expect(index.offsetOf(3)).toBe(2 * 55 + 80);
+            expect(index.offsetOf(6)).toBe(4 * 55 + 80 + 30);
+            expect(index.isMeasured(2)).toBe(true);
+            expect(index.isMeasured(3)).toBe(false);
+        });
+
+        it('should replace an earlier measurement', () => {
+            index.set(0, 80);
+            index.set(0, 120);
+
+            expect(index.measured).toBe(1);
+            expect(index.offsetOf(1)).toBe(120);
+        });
+
+        it('should reject bad positions and heights', () => {
+            expect(() => index.set(10, 40)).toThrowError(/out of range/);
+            expect(() => index.set(0, 0)).toThrowError(/Invalid height/);
+        });
+    });
+
+    describe('Finding Items', () => {
+        it('should find the item covering an offset', () => {
+            index.set(0, 100);
+            index.set(1, 100);
+            index.set(2, 10);
+
+            expect(index.positionAt(0)).toBe(0);
+            expect(index.positionAt(99)).toBe(0);
+            expect(index.positionAt(100)).toBe(1);
+            expect(index.positionAt(205)).toBe(2);
+            expect(index.positionAt(210)).toBe(3);
+        });
+
+        it('should clamp offsets outside the list', () => {
+            expect(index.positionAt(-20)).toBe(0);
+            expect(index.positionAt(1e9)).toBe(9);
+            expect(new HeightIndex(0).positionAt(100)).toBe(0);
+        });
+
+        it('should agree with offsets for every item of a large list', () => {
+            index = new HeightIndex(1000, { estimate: 40 });
+            for (let i = 0; i < 1000; i += 3) index.set(i, 20 + (i % 7) * 10);
+
+            for (let i = 0; i < 1000; i += 37) {
+                const top = index.offsetOf(i);
+                expect(index.positionAt(top)).toBe(i);
+                expect(index.positionAt(top + index.get(i) - 1)).toBe(i);
+            }
+        });
+    });
+});
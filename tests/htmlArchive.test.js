@@ -0,0 +1,139 @@
+import { loadInline } from './inlineScript.js';
+
+// The HTML archive export of index.html
+describe('HTML Archive', () => {
+    let page;
+    let messages;
+
+    function msg(sender, text, extra = {}) {
+        return {
+            date: new Date(2024, 0, 1, 10, 0), iso: '', sender, text, attachments: [],
+            edited: false, deleted: false, viewOnce: false, location: null, poll: null, ...extra
+        };
+    }
+
+    beforeAll(async () => {
+        page = await loadInline(['sender-colors', 'media-kinds', 'bubble-text', 'html-archive'], {
+            isMe: sender => sender === 'Sam',
+            sideFor: sender => (sender === 'Sam' ? 'r' : ''),
+            isGroupChat: () => true,
+            fileIndexByBase: { 'IMG 1&2.jpg': 'media/IMG 1&2.jpg', 'a"b.pdf': 'a"b.pdf' }
+        });
+    });
+
+    beforeEach(() => {
+        messages = [
+            msg('Alice', 'Hi <b>there</b> & "you"'),
+            msg('Sam', 'Photo', { date: new Date(2024, 0, 2, 9, 30), attachments: ['IMG 1&2.jpg'] }),
+            msg('', 'Alice added Bob', { date: new Date(2024, 0, 2, 9, 31) })
+        ];
+    });
+
+    describe('Page', () => {
+        it('should escape the title, senders, text, cards and file names', () => {
+            const poll = { question: '<i>Lunch?</i>', options: [{ text: 'A & B', votes: 1 }], totalVotes: 1 };
+            const html = page.buildHtmlArchive([
+                msg('<Eve>', '<script>alert(1)</script>', { attachments: ['a"b.pdf'] }),
+                msg('Eve', 'POLL:', { poll })
+            ], 'Chat <1>', 'A & B', new Map());
+
+            expect(html).toContain('<title>Chat &lt;1&gt;</title>');
+            expect(html).toContain('<p>A &amp; B</p>');
+            expect(html).toContain('&lt;Eve&gt;</span>');
+            expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+            expect(html).toContain('📎 a&quot;b.pdf');
+            expect(html).toContain('📊 &lt;i&gt;Lunch?&lt;/i&gt;');
+            expect(html).toContain('<span>A &amp; B</span>');
+            expect(html).not.toContain('<script>');
+        });
+
+        it('should lay out day separators, sides and sender colours like the viewer', () => {
+            const html = page.buildHtmlArchive(messages, 'Chat', '', new Map());
+
+            expect(html.match(/class="sep"/g).length).toBe(2);
+            expect(html).toContain('<div class="sep">2024-01-02</div>');
+            expect(html).toContain('<div class="bubble ">');
+            expect(html).toContain('<div class="bubble r">');
+            expect(html).toContain('<div class="bubble sys">');
+            expect(html).toContain(`<span class="sender" style="color:${page.senderColor('Alice')}">Alice</span>`);
+            expect(html).toContain('<span class="sender">Sam</span>');
+            expect(html).toContain('<span class="time">2024-01-02 09:30</span>');
+        });
+
+        it('should mark right-to-left text and missing files', () => {
+            const html = page.buildHtmlArchive([msg('Alice', 'שלום', { attachments: ['gone.jpg'] })], 'Chat', '', new Map());
+
+            expect(html).toContain('<div class="bubble " dir="rtl">');
+            expect(html).toContain('gone.jpg <span class="badge-missing">missing file</span>');
+        });
+
+        it('should embed media given as data URLs', () => {
+            const html = page.buildHtmlArchive(messages, 'Chat', '', new Map([['IMG 1&2.jpg', 'data:image/jpeg;base64,AAAA']]));
+
+            expect(html).toContain('<img class="thumb" src="data:image/jpeg;base64,AAAA" alt="IMG 1&amp;2.jpg" loading="lazy">');
+        });
+    });
+
+    describe('ZIP', () => {
+        let savedFflate;
+        let written;
+
+        // Records what each ZIP entry was given instead of compressing it
+        function fakeFflate() {
+            class Entry {
+                constructor(name) {
+                    this.name = name;
+                }
+
+                push(data) {
+                    written.set(this.name, data);
+                }
+            }
+            return {
+                Zip: class {
+                    constructor(callback) {
+                        this.callback = callback;
+                    }
+
+                    add() {}
+
+                    end() {
+                        this.callback(null, new Uint8Array([1]), true);
+                    }
+                },
+                ZipPassThrough: Entry,
+                ZipDeflate: Entry,
+                strToU8: text => new TextEncoder().encode(text)
+            };
+        }
+
+        beforeEach(() => {
+            savedFflate = window.fflate;
+            written = new Map();
+            window.fflate = fakeFflate();
+        });
+
+        afterEach(() => {
+            window.fflate = savedFflate;
+        });
+
+        it('should store media under media/ and link it from the page', async () => {
+            const photo = new Uint8Array([0xff, 0xd8]);
+            const zip = await page.zipHtmlArchive(messages, 'Trip', '', new Map([['IMG 1&2.jpg', photo]]));
+
+            expect(zip.type).toBe('application/zip');
+            expect(Array.from(written.keys())).toEqual(['media/IMG 1&2.jpg', 'Trip.html']);
+            expect(written.get('media/IMG 1&2.jpg')).toBe(photo);
+
+            const html = new TextDecoder().decode(written.get('Trip.html'));
+            expect(html).toContain('src="media/IMG%201%262.jpg"');
+        });
+
+        it('should list attachments that were not read by name', async () => {
+            await page.zipHtmlArchive(messages, 'Trip', '', new Map());
+
+            const html = new TextDecoder().decode(written.get('Trip.html'));
+            expect(html).toContain('📎 IMG 1&amp;2.jpg');
+        });
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * Test helper - evaluates parts of index.html's inline script
+ * The page keeps its code inline so it works from file://, where it can't import
+ * src/ modules. Parts that specs exercise are marked "// #region <name>" ...
+ * "// #endregion <name>"; they are evaluated together in one scope, with the
+ * page state they refer to passed in.
+ */
+
+let pageSource = null;
+
+async function loadPage() {
+    if (pageSource === null) {
+        const response = await fetch(new URL('../index.html', import.meta.url));
+        pageSource = await response.text();
+    }
+    return pageSource;
+}
+
+function regionSource(page, name) {
+    const begin = page.indexOf(`// #region ${name}\n`);
+    const end = page.indexOf(`// #endregion ${name}\n`, begin);
+    if (begin === -1 || end === -1) {
+        throw new Error(`No region "${name}" in index.html`);
+    }
+    return page.slice(begin, end);
+}
+
+/**
+ * @param {string[]} regions - Region names, evaluated in this order
+ * @param {Object} [scope] - Free variables of the regions, by name
+ * @returns {Promise<Object>} The functions, classes and constants the regions declare
+ */
+export async function loadInline(regions, scope = {}) {
+    const page = await loadPage();
+    const source = regions.map(name => regionSource(page, name)).join('\n');
+
+    // Declarations at the script's top level, which is indented by four spaces
+    const names = [];
+    for (const match of source.matchAll(/^ {4}(?:async function|function|class|const|let) ([A-Za-z_$][\w$]*)/gm)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+
+    const evaluate = new Function(...Object.keys(scope), `${source}\nreturn { ${names.join(', ')} };`);
+    return evaluate(...Object.values(scope));
+}
@@ -0,0 +1,94 @@
+import { MediaGallery } from '../src/mediaGallery.js';
+
+describe('MediaGallery', () => {
+    let gallery;
+    let items;
+
+    const message = (sender, date, mediaFilename, mediaType) =>
+        ({ sender, date, text: '', hasMedia: !!mediaFilename, mediaFilename, mediaType });
+
+    const messages = [
+        message('Alice', new Date(2024, 0, 5), 'IMG-20240105-WA0001.jpg', 'image'),
+        message('Bob', new Date(2024, 0, 6), null, null),
+        message('Bob', new Date(2024, 0, 20), 'PTT-20240120-WA0002.opus', 'audio'),
+        message('Bob', new Date(2024, 1, 2), 'VID-20240202-WA0003.mp4', 'video'),
+        message('Alice', new Date(2024, 1, 3), 'report.pdf', 'document'),
+        message('Alice', new Date(2024, 1, 4), 'Carol.vcf', 'contact'),
+        message('Alice', new Date(2024, 1, 5), 'IMG-20240205-WA0004.jpg', 'image'),
+        message('Bob', new Date(2024, 1, 6), 'IMG-missing.jpg', 'image')
+    ];
+
+    beforeEach(() => {
+        const zipHandler = {
+            getMediaList: () => [
+                'IMG-20240105-WA0001.jpg', 'PTT-20240120-WA0002.opus', 'VID-20240202-WA0003.mp4',
+                'report.pdf', 'Carol.vcf', 'IMG-20240205-WA0004.jpg', 'unreferenced.jpg'
+            ]
+        };
+        gallery = new MediaGallery(zipHandler);
+        items = gallery.collect(messages);
+    });
+
+    describe('Collecting', () => {
+        it('should list the attachments found in the archive with their message', () => {
+            expect(items.map(item => item.filename)).toEqual([
+                'IMG-20240105-WA0001.jpg', 'PTT-20240120-WA0002.opus', 'VID-20240202-WA0003.mp4',
+                'report.pdf', 'Carol.vcf', 'IMG-20240205-WA0004.jpg'
+            ]);
+            expect(items[2]).toEqual({
+                filename: 'VID-20240202-WA0003.mp4',
+                kind: 'video',
+                sender: 'Bob',
+                date: new Date(2024, 1, 2),
+                messageIndex: 3
+            });
+        });
+
+        it('should count contact cards and other files as documents', () => {
+            expect(items[4].kind).toBe('document');
+            expect(MediaGallery.kindOf('file')).toBe('document');
+        });
+    });
+
+    describe('Filtering', () => {
+        it('should filter by kind and sender', () => {
+            expect(gallery.filter(items, { kind: 'image' }).length).toBe(2);
+            expect(gallery.filter(items, { sender: 'Bob' }).map(item => item.kind)).toEqual(['audio', 'video']);
+            expect(gallery.filter(items, { kind: 'image', sender: 'Alice' }).length).toBe(2);
+            expect(gallery.filter(items).length).toBe(6);
+        });
+
+        it('should reject unknown kinds', () => {
+            expect(() => gallery.filter(items, { kind: 'sticker' })).toThrowError(/Unknown gallery kind/);
+        });
+
+        it('should list senders with the most media first', () => {
+            expect(gallery.senders(items)).toEqual(['Alice', 'Bob']);
+        });
+    });
+
+    describe('Grouping', () => {
+        it('should group items by month in order', () => {
+            const groups = gallery.groupByMonth(items);
+            expect(groups.map(group => [group.month, group.items.length])).toEqual([['2024-01', 2], ['2024-02', 4]]);
+        });
+
+        it('should group undated items together', () => {
+            const undated = [{ kind: 'image', date: null }, { kind: 'image', date: null }];
+            expect(gallery.groupByMonth(undated)).toEqual([{ month: null, items: undated }]);
+        });
+    });
+
+    describe('Lightbox Navigation', () => {
+        it('should step over audio and documents', () => {
+            expect(gallery.neighbor(items, 0, 1)).toBe(2);
+            expect(gallery.neighbor(items, 2, 1)).toBe(5);
+            expect(gallery.neighbor(items, 5, -1)).toBe(2);
+        });
+
+        it('should stop at either end', () => {
+            expect(gallery.neighbor(items, 5, 1)).toBe(-1);
+            expect(gallery.neighbor(items, 0, -1)).toBe(-1);
+        });
+    });
+});
@@ -40,7 +40,10 @@ describe('MediaHandler', () => {
             expect(mediaHandler.getMediaType('document.pdf')).toBe('document');
             expect(mediaHandler.getMediaType('report.docx')).toBe('document');
             expect(mediaHandler.getMediaType('spreadsheet.xlsx')).toBe('document');
-            expect(mediaHandler.getMediaType('contact.vcf')).toBe('document');
+        });
+
+        it('should identify contact cards', () => {
+            expect(mediaHandler.getMediaType('contact.vcf')).toBe('contact');
         });
 
         it('should handle unknown types', () => {
@@ -128,6 +131,41 @@ describe('MediaHandler', () => {
         });
     });
 
+    describe('Streamed Media', () => {
+        beforeEach(() => {
+            mockZipHandler.hasMedia.and.returnValue(true);
+            mockZipHandler.getMediaURL.and.returnValue(null);
+            mockZipHandler.loadMediaURL = jasmine.createSpy('loadMediaURL');
+        });
+
+        it('should show a placeholder and swap in the element once read', async () => {
+            mockZipHandler.loadMediaURL.and.resolveTo('data:application/pdf;base64,JVBERi0xLg==');
+            const parent = document.createElement('div');
+            
+            const placeholder = mediaHandler.createMediaElement('document.pdf');
+            parent.appendChild(placeholder);
+            
+            expect(placeholder.className).toBe('media-container media-document');
+            expect(placeholder.querySelector('.media-loading')).toBeTruthy();
+            
+            await new Promise(resolve => setTimeout(resolve));
+            
+            expect(mockZipHandler.loadMediaURL).toHaveBeenCalledWith('document.pdf');
+            expect(parent.querySelector('.media-download')).toBeTruthy();
+            expect(parent.querySelector('.media-loading')).toBeNull();
+        });
+
+        it('should show missing element when the entry cannot be read', async () => {
+            mockZipHandler.loadMediaURL.and.rejectWith(new Error('Corrupt'));
+            const parent = document.createElement('div');
+            
+            parent.appendChild(mediaHandler.createMediaElement('photo.jpg'));
+            await new Promise(resolve => setTimeout(resolve));
+            
+            expect(parent.querySelector('.media-missing')).toBeTruthy();
+        });
+    });
+
     describe('Document Icons', () => {
         it('should return correct icons for document types', () => {
             expect(mediaHandler.getDocumentIcon('PDF')).toBe('📄');
@@ -233,6 +271,22 @@ describe('MediaHandler', () => {
             
             expect(label.textContent).toBe('voice-note.opus');
         });
+
+        it('should give voice notes the voice note player', () => {
+            spyOn(mediaHandler.voiceNotes, 'loadInfo').and.returnValue(new Promise(() => {}));
+            const container = mediaHandler.createAudioElement('blob:test/1', 'PTT-20240105-WA0001.opus');
+            
+            expect(container.className).toBe('media-container media-voice-note');
+            expect(container.querySelector('audio')).toBeNull();
+            expect(container.querySelector('.voice-note-rate').textContent).toBe('1x');
+        });
+
+        it('should read the next voice note from streamed archives', async () => {
+            mockZipHandler.loadMediaURL = jasmine.createSpy('loadMediaURL').and.returnValue(Promise.resolve('blob:test/2'));
+            
+            expect(await mediaHandler.voiceNotes.resolveURL('PTT-20240106-WA0002.opus')).toBe('blob:test/2');
+            expect(mockZipHandler.loadMediaURL).toHaveBeenCalledWith('PTT-20240106-WA0002.opus');
+        });
     });
 
     describe('Document Element Details', () => {
@@ -255,6 +309,105 @@ describe('MediaHandler', () => {
             const fileContainer = mediaHandler.createDocumentElement('data:application/octet-stream;base64,AA==', 'unknown.xyz', 'file');
             expect(fileContainer.className).toBe('media-container media-file');
         });
+
+        it('should offer a preview for PDFs and text files only', () => {
+            mockZipHandler.getMediaData = jasmine.createSpy('getMediaData');
+            
+            expect(mediaHandler.createDocumentElement('blob:test/1', 'report.pdf', 'document').querySelector('.media-preview-button')).toBeTruthy();
+            expect(mediaHandler.createDocumentElement('blob:test/2', 'notes.txt', 'document').querySelector('.media-preview-button')).toBeTruthy();
+            expect(mediaHandler.createDocumentElement('blob:test/3', 'sheet.xlsx', 'document').querySelector('.media-preview-button')).toBeNull();
+        });
+
+        it('should open the preview panel with the file contents', async () => {
+            mockZipHandler.getMediaData = jasmine.createSpy('getMediaData').and.resolveTo(new TextEncoder().encode('hello'));
+            const parent = document.createElement('div');
+            
+            const panel = await mediaHandler.openDocumentPreview('blob:test/4', 'notes.txt', parent);
+            
+            expect(mockZipHandler.getMediaData).toHaveBeenCalledWith('notes.txt');
+            expect(panel.parentNode).toBe(parent);
+            expect(panel.querySelector('.document-preview-text').textContent).toBe('hello');
+        });
+
+        it('should not open a preview when the file cannot be read', async () => {
+            mockZipHandler.getMediaData = jasmine.createSpy('getMediaData').and.resolveTo(null);
+            expect(await mediaHandler.openDocumentPreview('blob:test/5', 'gone.pdf')).toBeNull();
+        });
+    });
+
+    describe('Structured Content', () => {
+        it('should render polls with vote bars', () => {
+            const element = mediaHandler.createContentElement({
+                poll: {
+                    question: 'Where <b>?',
+                    options: [{ text: 'Pizza', votes: 3 }, { text: 'Sushi', votes: 1 }],
+                    totalVotes: 4
+                }
+            });
+
+            expect(element.className).toBe('media-container media-poll');
+            expect(element.querySelector('.media-poll-question').textContent).toContain('Where <b>?');
+            expect(Array.from(element.querySelectorAll('.media-poll-bar'), bar => bar.style.width)).toEqual(['75%', '25%']);
+            expect(element.querySelector('.media-poll-total').textContent).toBe('4 votes');
+        });
+
+        it('should render locations with coordinates and a maps link', () => {
+            const element = mediaHandler.createContentElement({
+                location: { latitude: 52.520008, longitude: 13.404954, name: null, url: 'https://maps.google.com/?q=52.520008,13.404954', live: false }
+            });
+
+            expect(element.className).toBe('media-container media-location');
+            expect(element.querySelector('.media-location-coordinates').textContent).toBe('52.52001, 13.40495');
+            expect(element.querySelector('.media-location-link').href).toBe('https://maps.google.com/?q=52.520008,13.404954');
+        });
+
+        it('should render live locations without a link', () => {
+            const element = mediaHandler.createLocationElement({ latitude: null, longitude: null, name: null, url: null, live: true });
+            expect(element.textContent).toContain('Live location shared');
+            expect(element.querySelector('a')).toBeNull();
+        });
+
+        it('should fill contact cards from the vCard', async () => {
+            mockZipHandler.hasMedia.and.returnValue(true);
+            mockZipHandler.getMediaURL.and.returnValue('data:text/vcard;base64,AA==');
+            mockZipHandler.getMediaText = jasmine.createSpy('getMediaText').and.resolveTo(
+                'BEGIN:VCARD\r\nVERSION:3.0\r\nN:Smith;Bob;;;\r\nitem1.TEL;waid=15551234567:+1 555-123-\r\n 4567\r\nEND:VCARD\r\n' +
+                'BEGIN:VCARD\nFN:Carol\, Jr.\nEND:VCARD'
+            );
+
+            const element = mediaHandler.createContentElement({ mediaType: 'contact', mediaFilename: 'Bob Smith.vcf' });
+            await new Promise(resolve => setTimeout(resolve));
+
+            expect(element.className).toBe('media-container media-contact');
+            expect(mockZipHandler.getMediaText).toHaveBeenCalledWith('Bob Smith.vcf');
+            expect(Array.from(element.querySelectorAll('.media-contact-name'), el => el.textContent)).toEqual(['Bob Smith', 'Carol, Jr.']);
+            expect(element.querySelector('.media-contact-phone').textContent).toBe('+1 555-123-4567');
+            expect(element.querySelector('.media-download')).toBeTruthy();
+        });
+
+        it('should show organization and emails and copy a contact as text', async () => {
+            mockZipHandler.hasMedia.and.returnValue(true);
+            mockZipHandler.getMediaURL.and.returnValue('data:text/vcard;base64,AA==');
+            mockZipHandler.getMediaText = jasmine.createSpy('getMediaText').and.resolveTo(
+                'BEGIN:VCARD\nFN:Dana\nORG:Acme\nTEL;TYPE=CELL:+972 50\nEMAIL:dana@acme.example\nEND:VCARD'
+            );
+            spyOn(mediaHandler, 'copyText').and.resolveTo();
+
+            const element = mediaHandler.createMediaElement('Dana.vcf');
+            await new Promise(resolve => setTimeout(resolve));
+            element.querySelector('.media-contact-copy').click();
+            await new Promise(resolve => setTimeout(resolve));
+
+            expect(element.querySelector('.media-contact-org').textContent).toBe('Acme');
+            expect(element.querySelector('.media-contact-email').textContent).toBe('dana@acme.example');
+            expect(element.querySelector('.media-contact-type').textContent).toBe('cell');
+            expect(mediaHandler.copyText).toHaveBeenCalledWith('Dana\nAcme\nCell: +972 50\ndana@acme.example');
+            expect(element.querySelector('.media-contact-copy').textContent).toBe('Copied');
+        });
+
+        it('should return null for other messages', () => {
+            expect(mediaHandler.createContentElement({ text: 'Hi', mediaType: null })).toBeNull();
+        });
     });
 
     describe('Integration', () => {
@@ -0,0 +1,90 @@
+import { MediaReconciliation, ORPHAN_TEXT } from '../src/mediaReconciliation.js';
+
+describe('MediaReconciliation', () => {
+    let reconciliation;
+
+    const message = (date, mediaFilename) =>
+        ({ date, sender: 'Alice', text: '', hasMedia: !!mediaFilename, mediaFilename });
+
+    const messages = [
+        message(new Date(2024, 0, 5, 9), 'IMG-20240105-WA0001.jpg'),
+        message(new Date(2024, 0, 6, 9), 'IMG-20240106-WA0002.jpg'),
+        message(new Date(2024, 0, 8, 9), null),
+        message(new Date(2024, 0, 9, 9), 'IMG-20240106-WA0002.jpg')
+    ];
+
+    beforeEach(() => {
+        reconciliation = new MediaReconciliation({
+            getMediaList: () => ['IMG-20240105-WA0001.jpg', 'VID-20240107-WA0003.mp4', 'notes.pdf']
+        });
+    });
+
+    describe('Reconciling', () => {
+        it('should list missing files with every message naming them', () => {
+            const report = reconciliation.reconcile(messages);
+            expect(report.missing).toEqual([{ filename: 'IMG-20240106-WA0002.jpg', messageIndices: [1, 3] }]);
+            expect(report.referenced).toBe(2);
+            expect(report.available).toBe(3);
+        });
+
+        it('should list orphans with the date in their name', () => {
+            expect(reconciliation.reconcile(messages).orphans).toEqual([
+                { filename: 'VID-20240107-WA0003.mp4', date: new Date(2024, 0, 7) },
+                { filename: 'notes.pdf', date: null }
+            ]);
+        });
+
+        it('should report nothing for a complete export', () => {
+            const report = reconciliation.reconcile([
+                message(null, 'IMG-20240105-WA0001.jpg'),
+                message(null, 'VID-20240107-WA0003.mp4'),
+                message(null, 'notes.pdf')
+            ]);
+            expect(report.missing).toEqual([]);
+            expect(report.orphans).toEqual([]);
+        });
+    });
+
+    describe('Dates from File Names', () => {
+        it('should read Android and iOS media names', () => {
+            expect(MediaReconciliation.dateFromFilename('PTT-20231231-WA0042.opus')).toEqual(new Date(2023, 11, 31));
+            expect(MediaReconciliation.dateFromFilename('Media/STK-20240229-WA0001.webp')).toEqual(new Date(2024, 1, 29));
+            expect(MediaReconciliation.dateFromFilename('00000012-PHOTO-2024-01-05-10-20-30.jpg')).toEqual(new Date(2024, 0, 5, 10, 20, 30));
+        });
+
+        it('should give null for other names and impossible dates', () => {
+            expect(MediaReconciliation.dateFromFilename('holiday.jpg')).toBeNull();
+            expect(MediaReconciliation.dateFromFilename('IMG-20231345-WA0001.jpg')).toBeNull();
+            expect(MediaReconciliation.dateFromFilename('IMG-20230229-WA0001.jpg')).toBeNull();
+        });
+    });
+
+    describe('Timeline', () => {
+        it('should make system messages for dated orphans only', () => {
+            const { orphans } = reconciliation.reconcile(messages);
+            expect(reconciliation.orphanMessages(orphans)).toEqual([{
+                date: new Date(2024, 0, 7),
+                sender: 'System',
+                text: ORPHAN_TEXT,
+                isSystem: true,
+                hasMedia: true,
+                mediaType: 'video',
+                mediaFilename: 'VID-20240107-WA0003.mp4',
+                orphan: true
+            }]);
+        });
+
+        it('should insert orphans at their dates', () => {
+            const orphans = reconciliation.orphanMessages([
+                { filename: 'IMG-20240110-WA0009.jpg', date: new Date(2024, 0, 10) },
+                { filename: 'VID-20240107-WA0003.mp4', date: new Date(2024, 0, 7) },
+                { filename: 'IMG-20240101-WA0000.jpg', date: new Date(2024, 0, 1) }
+            ]);
+            const merged = MediaReconciliation.withOrphans(messages, orphans);
+
+            expect(merged.map(msg => msg.orphan ? msg.mediaFilename : msg.date.getDate())).toEqual([
+                'IMG-20240101-WA0000.jpg', 5, 6, 'VID-20240107-WA0003.mp4', 8, 9, 'IMG-20240110-WA0009.jpg'
+            ]);
+        });
+    });
+});
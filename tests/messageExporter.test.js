@@ -0,0 +1,165 @@
+import { MessageExporter, EXPORT_FORMATS } from '../src/messageExporter.js';
+import { MessageParser } from '../src/messageParser.js';
+import { StateManager } from '../src/stateManager.js';
+
+describe('MessageExporter', () => {
+    let exporter;
+    let messages;
+
+    beforeEach(() => {
+        exporter = new MessageExporter();
+        messages = [
+            {
+                date: new Date(Date.UTC(2024, 0, 1, 10, 0, 0)),
+                sender: 'Alice',
+                text: 'Hello, "world"',
+                isSystem: false,
+                hasMedia: false,
+                mediaType: null,
+                mediaFilename: null,
+                raw: '[01/01/2024, 10:00:00] Alice: Hello, "world"'
+            },
+            {
+                date: new Date(Date.UTC(2024, 0, 1, 10, 5, 0)),
+                sender: 'Bob',
+                text: 'Line one\nLine two',
+                isSystem: false,
+                hasMedia: true,
+                mediaType: 'image',
+                mediaFilename: 'IMG-1.jpg',
+                raw: '[01/01/2024, 10:05:00] Bob: <attached: IMG-1.jpg> Line one'
+            },
+            {
+                date: new Date(Date.UTC(2024, 0, 1, 11, 0, 0)),
+                sender: 'System',
+                text: 'Alice added Charlie',
+                isSystem: true,
+                hasMedia: false,
+                mediaType: null,
+                mediaFilename: null,
+                raw: '01/01/2024, 11:00 - Alice added Charlie'
+            }
+        ];
+    });
+
+    describe('Timestamps', () => {
+        it('should write UTC by default', () => {
+            expect(exporter.formatTimestamp(messages[0].date)).toBe('2024-01-01T10:00:00Z');
+        });
+
+        it('should write a fixed offset', () => {
+            const india = new MessageExporter({ offset: 330 });
+            expect(india.formatTimestamp(messages[0].date)).toBe('2024-01-01T15:30:00+05:30');
+
+            const newYork = new MessageExporter({ offset: -300 });
+            expect(newYork.formatTimestamp(messages[0].date)).toBe('2024-01-01T05:00:00-05:00');
+        });
+
+        it('should write the local offset', () => {
+            const local = new MessageExporter({ offset: 'local' });
+            const stamp = local.formatTimestamp(messages[0].date);
+
+            expect(stamp).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/);
+            expect(new Date(stamp).getTime()).toBe(messages[0].date.getTime());
+        });
+
+        it('should reject invalid offsets', () => {
+            expect(() => new MessageExporter({ offset: 'CET' })).toThrowError('Invalid timezone offset: CET');
+            expect(() => new MessageExporter({ offset: 2000 })).toThrowError('Invalid timezone offset: 2000');
+        });
+    });
+
+    describe('Records', () => {
+        it('should flatten parser output', () => {
+            expect(exporter.toRecord(messages[1])).toEqual({
+                timestamp: '2024-01-01T10:05:00Z',
+                sender: 'Bob',
+                text: 'Line one\nLine two',
+                attachments: ['IMG-1.jpg'],
+                messageType: 'image',
+                isSystem: false,
+                raw: '[01/01/2024, 10:05:00] Bob: <attached: IMG-1.jpg> Line one'
+            });
+        });
+
+        it('should mark system messages without a sender', () => {
+            const record = exporter.toRecord(messages[2]);
+            expect(record.isSystem).toBe(true);
+            expect(record.sender).toBeNull();
+            expect(record.messageType).toBe('system');
+        });
+
+        it('should accept viewer messages with attachment lists', () => {
+            const record = exporter.toRecord({
+                date: messages[0].date, sender: '', text: 'created group', attachments: [], messageType: 'text'
+            });
+            expect(record.isSystem).toBe(true);
+            expect(record.attachments).toEqual([]);
+        });
+    });
+
+    describe('Formats', () => {
+        it('should produce a JSON array', () => {
+            const parsed = JSON.parse(exporter.toJSON(messages));
+            expect(parsed.length).toBe(3);
+            expect(parsed[0].text).toBe('Hello, "world"');
+        });
+
+        it('should produce one JSON object per NDJSON line', () => {
+            const lines = exporter.toNDJSON(messages).split('\n');
+            expect(lines.length).toBe(4); // trailing newline
+            expect(lines[3]).toBe('');
+            expect(JSON.parse(lines[1]).attachments).toEqual(['IMG-1.jpg']);
+        });
+
+        it('should quote CSV fields per RFC 4180', () => {
+            const csv = exporter.toCSV(messages);
+            const rows = csv.split('\r\n');
+
+            expect(rows[0]).toBe('timestamp,sender,text,attachments,messageType,isSystem,raw');
+            expect(rows[1]).toBe('2024-01-01T10:00:00Z,Alice,"Hello, ""world""",,text,false,"[01/01/2024, 10:00:00] Alice: Hello, ""world"""');
+            // Embedded newline stays inside the quoted field
+            expect(csv).toContain('"Line one\nLine two"');
+            expect(csv.endsWith('\r\n')).toBe(true);
+        });
+
+        it('should describe the format it serialized', () => {
+            const result = exporter.serialize(messages, 'ndjson');
+            expect(result.extension).toBe(EXPORT_FORMATS.ndjson.extension);
+            expect(result.mimeType).toBe('application/x-ndjson');
+        });
+
+        it('should reject unknown formats', () => {
+            expect(() => exporter.serialize(messages, 'xml')).toThrowError('Unsupported export format: xml');
+        });
+    });
+
+    describe('Sidecar', () => {
+        it('should carry parse stats and failed lines', () => {
+            const parser = new MessageParser();
+            const result = parser.parse('garbage line\n[01/01/2024, 10:00:00] Alice: Hi');
+
+            const sidecar = JSON.parse(exporter.serialize(result.messages, 'csv', result).sidecar);
+
+            expect(sidecar.format).toBe('csv');
+            expect(sidecar.messageCount).toBe(1);
+            expect(sidecar.stats.parsedMessages).toBe(1);
+            expect(sidecar.failedLines).toEqual([{ lineNumber: 1, line: 'garbage line', reason: 'No matching pattern' }]);
+        });
+    });
+
+    describe('StateManager Integration', () => {
+        it('should export filtered messages by default', () => {
+            const stateManager = new StateManager();
+            stateManager.setMessages(messages);
+            stateManager.applyFilter({ text: 'hello' });
+
+            const filtered = exporter.exportState(stateManager, 'json');
+            const all = exporter.exportState(stateManager, 'json', { scope: 'all' });
+
+            expect(JSON.parse(filtered.content).length).toBe(1);
+            expect(JSON.parse(all.content).length).toBe(3);
+            expect(JSON.parse(filtered.sidecar).filter.text).toBe('hello');
+        });
+    });
+});
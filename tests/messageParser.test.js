@@ -1,4 +1,5 @@
 import { MessageParser } from '../src/messageParser.js';
+import { loadInline } from './inlineScript.js';
 
 describe('MessageParser', () => {
     let parser;
@@ -51,6 +52,23 @@ describe('MessageParser', () => {
             expect(date1990s.getFullYear()).toBe(1999);
         });
 
+        // index.html reads dates with its own parseTimestamp; both must agree
+        describe('Two-digit year pivot', () => {
+            const YEARS = { '00': 2000, 49: 2049, 50: 2050, 69: 2069, 70: 1970, 99: 1999 };
+            let page;
+
+            beforeAll(async () => {
+                page = await loadInline(['parser']);
+            });
+
+            for (const [yy, year] of Object.entries(YEARS)) {
+                it(`should read ${yy} as ${year} here and in index.html`, () => {
+                    expect(parser.parseDate(`1/1/${yy}`, '12:00').getFullYear()).toBe(year);
+                    expect(page.parseTimestamp(`1/1/${yy}`, '12:00').date.getFullYear()).toBe(year);
+                });
+            }
+        });
+
         it('should return null for invalid dates', () => {
             expect(parser.parseDate('invalid', '12:00')).toBeNull();
             expect(parser.parseDate('1/1/2024', 'invalid')).toBeNull();
@@ -58,6 +76,83 @@ describe('MessageParser', () => {
         });
     });
 
+    describe('Date Order Detection', () => {
+        it('should read month-first dates when asked to', () => {
+            const date = parser.parseDate('1/13/24', '10:00', 'MDY');
+            expect(date.getMonth()).toBe(0);
+            expect(date.getDate()).toBe(13);
+            expect(date.getFullYear()).toBe(2024);
+        });
+
+        it('should always read a 4-digit leading year as year-first', () => {
+            const date = parser.parseDate('2024-01-13', '10:00');
+            expect(date.getFullYear()).toBe(2024);
+            expect(date.getMonth()).toBe(0);
+            expect(date.getDate()).toBe(13);
+        });
+
+        it('should detect MDY from unambiguous dates', () => {
+            const chat = `[1/2/24, 10:00] Alice: ambiguous
+[1/13/24, 10:00] Bob: only month-first works
+[2/20/24, 10:00] Alice: again`;
+            
+            const result = parser.parse(chat);
+            
+            expect(result.stats.dateOrder).toBe('MDY');
+            expect(result.stats.dateOrderConfidence).toBe(1);
+            expect(result.stats.dateOrderSource).toBe('detected');
+            expect(result.failedLines.length).toBe(0);
+            // The ambiguous first line is read with the detected order too
+            expect(result.messages[0].date.getMonth()).toBe(0);
+            expect(result.messages[0].date.getDate()).toBe(2);
+        });
+
+        it('should detect DMY from unambiguous dates', () => {
+            const detected = parser.detectDateOrder([
+                '13.01.2024, 10:00 - Alice: hi',
+                '25.02.2024, 10:00 - Bob: hi'
+            ]);
+            expect(detected.order).toBe('DMY');
+            expect(detected.confidence).toBe(1);
+        });
+
+        it('should detect YMD dates', () => {
+            const result = parser.parse('2024-01-13, 10:00 - Alice: hi');
+            expect(result.stats.dateOrder).toBe('YMD');
+            expect(result.messages[0].date.getDate()).toBe(13);
+        });
+
+        it('should report mixed evidence as lower confidence', () => {
+            const detected = parser.detectDateOrder([
+                '[13/1/24, 10:00] Alice: a',
+                '[14/1/24, 10:00] Alice: b',
+                '[15/1/24, 10:00] Alice: c',
+                '[1/16/24, 10:00] Alice: d'
+            ]);
+            expect(detected.order).toBe('DMY');
+            expect(detected.confidence).toBe(0.75);
+        });
+
+        it('should fall back to DMY with zero confidence when every date is ambiguous', () => {
+            const result = parser.parse('[1/2/24, 10:00] Alice: hi');
+            expect(result.stats.dateOrder).toBe('DMY');
+            expect(result.stats.dateOrderConfidence).toBe(0);
+        });
+
+        it('should honour a user override', () => {
+            parser = new MessageParser({ dateOrder: 'MDY' });
+            const result = parser.parse('[13/1/24, 10:00] Alice: hi');
+            
+            expect(result.stats.dateOrder).toBe('MDY');
+            expect(result.stats.dateOrderSource).toBe('override');
+            expect(result.failedLines[0].reason).toBe('Invalid date format');
+        });
+
+        it('should reject unknown date orders', () => {
+            expect(() => parser.setDateOrder('XYZ')).toThrowError('Invalid date order: XYZ');
+        });
+    });
+
     describe('Media Detection', () => {
         it('should detect attached media with tag', () => {
             const result = parser.extractMediaInfo('<attached: photo.jpg> Check this out');
@@ -89,6 +184,32 @@ describe('MessageParser', () => {
             expect(result.filename).toBeNull();
         });
 
+        it('should read shared locations as coordinates', () => {
+            const result = parser.extractMediaInfo('location: https://maps.google.com/?q=52.520008,13.404954');
+            expect(result.hasMedia).toBe(false);
+            expect(result.type).toBe('location');
+            expect(result.location).toEqual({
+                latitude: 52.520008,
+                longitude: 13.404954,
+                name: null,
+                url: 'https://maps.google.com/?q=52.520008,13.404954',
+                live: false
+            });
+        });
+
+        it('should keep the place name of a shared location', () => {
+            const result = parser.extractMediaInfo('Café Central: https://maps.google.com/maps?q=48.2104,16.3655&z=17');
+            expect(result.location.name).toBe('Café Central');
+            expect(result.location.longitude).toBe(16.3655);
+        });
+
+        it('should detect live locations and omitted contact cards', () => {
+            expect(parser.extractMediaInfo('live location shared').location.live).toBe(true);
+            const contact = parser.extractMediaInfo('Contact card omitted');
+            expect(contact.type).toBe('contact');
+            expect(contact.filename).toBeNull();
+        });
+
         it('should handle regular text without media', () => {
             const result = parser.extractMediaInfo('Just a regular message');
             expect(result.hasMedia).toBe(false);
@@ -170,12 +291,56 @@ describe('MessageParser', () => {
         });
     });
 
+    describe('Message Flags', () => {
+        it('should flag and strip the edited marker', () => {
+            const result = parser.parseLine('[1/1/2024, 10:30 AM] Alice: See you at 8 <This message was edited>', 1);
+
+            expect(result.edited).toBe(true);
+            expect(result.text).toBe('See you at 8');
+        });
+
+        it('should flag deleted messages', () => {
+            const theirs = parser.parseLine('1/1/2024, 10:30 AM - Bob: This message was deleted', 1);
+            const mine = parser.parseLine('[1/1/2024, 10:30 AM] Alice: \u200eYou deleted this message.', 2);
+
+            expect(theirs.deleted).toBe(true);
+            expect(mine.deleted).toBe(true);
+            expect(theirs.edited).toBe(false);
+        });
+
+        it('should flag view-once media exported as "null"', () => {
+            const result = parser.parseLine('1/1/2024, 10:30 AM - Bob: null', 1);
+
+            expect(result.viewOnce).toBe(true);
+            expect(result.text).toBe('');
+        });
+
+        it('should leave ordinary messages unflagged', () => {
+            const result = parser.parseLine('[1/1/2024, 10:30 AM] Alice: null pointer again', 1);
+
+            expect(result.edited || result.deleted || result.viewOnce).toBe(false);
+            expect(result.text).toBe('null pointer again');
+        });
+
+        it('should find the edited marker on the last line of a multi-line message', () => {
+            const chat = `[1/1/2024, 10:00 AM] Alice: First line
+second line <This message was edited>
+[1/1/2024, 10:01 AM] Bob: Hi`;
+
+            const [first, second] = parser.parse(chat).messages;
+
+            expect(first.edited).toBe(true);
+            expect(first.text).toBe('First line\nsecond line');
+            expect(second.edited).toBe(false);
+        });
+    });
+
     describe('Full Chat Parsing with Failed Lines', () => {
         it('should parse valid messages and collect failed lines', () => {
-            const chat = `[1/1/2024, 10:00 AM] Alice: Hello
-This line should fail - no date format
+            const chat = `This line should fail - no date format
+[1/1/2024, 10:00 AM] Alice: Hello
 [1/1/2024, 10:01 AM] Bob: Hi Alice!
-[invalid-date, 10:02 AM] Charlie: This has bad date
+[32/13/2024, 10:02 AM] Charlie: This has bad date
 [1/1/2024, 10:03 AM] Alice: How are you?`;
             
             const result = parser.parse(chat);
@@ -188,22 +353,24 @@ This line should fail - no date format
             expect(result.failedLines.length).toBe(2);
             expect(result.failedLines[0].content).toContain('This line should fail');
             expect(result.failedLines[0].reason).toBe('No matching pattern');
-            expect(result.failedLines[1].content).toContain('invalid-date');
-            expect(result.failedLines[1].reason).toBe('No matching pattern');
+            expect(result.failedLines[1].content).toContain('32/13/2024');
+            expect(result.failedLines[1].reason).toBe('Invalid date format');
         });
 
         it('should provide accurate statistics', () => {
-            const chat = `[1/1/2024, 10:00 AM] Alice: Hello
-Invalid line here
+            const chat = `Invalid line here
+[1/1/2024, 10:00 AM] Alice: Hello
+second line of hello
 [1/1/2024, 10:01 AM] Bob: <attached: photo.jpg> Check this
 1/1/2024, 10:02 AM - System message here
 [1/1/2024, 10:03 AM] Charlie: Regular message`;
             
             const result = parser.parse(chat);
             
-            expect(result.stats.totalLines).toBe(5);
+            expect(result.stats.totalLines).toBe(6);
             expect(result.stats.parsedMessages).toBe(4);
             expect(result.stats.failedLines).toBe(1);
+            expect(result.stats.continuationLines).toBe(1);
             expect(result.stats.mediaMessages).toBe(1);
             expect(result.stats.systemMessages).toBe(1);
         });
@@ -228,11 +395,174 @@ Invalid line here
         });
     });
 
+    describe('Multi-line Messages', () => {
+        it('should fold continuation lines into the previous message', () => {
+            const chat = `[1/1/2024, 10:00 AM] Alice: First line
+second line
+third line
+[1/1/2024, 10:01 AM] Bob: Hi`;
+            
+            const result = parser.parse(chat);
+            
+            expect(result.messages.length).toBe(2);
+            expect(result.messages[0].text).toBe('First line\nsecond line\nthird line');
+            expect(result.messages[0].raw).toContain('third line');
+            expect(result.messages[1].text).toBe('Hi');
+            expect(result.failedLines.length).toBe(0);
+            expect(result.stats.continuationLines).toBe(2);
+        });
+
+        it('should keep the source line range of each message', () => {
+            const chat = `[1/1/2024, 10:00 AM] Alice: First line
+
+second line
+[1/1/2024, 10:01 AM] Bob: Hi`;
+            
+            const result = parser.parse(chat);
+            
+            expect(result.messages[0].lineRange).toEqual({ start: 1, end: 3 });
+            expect(result.messages[1].lineRange).toEqual({ start: 4, end: 4 });
+        });
+
+        it('should keep indentation and paragraph breaks of continuation lines', () => {
+            const chat = '[1/1/2024, 10:00 AM] Alice: Shopping list:\r\n' +
+                '  - milk\r\n' +
+                '    - oat\r\n' +
+                '\r\n' +
+                'Thanks!\r\n' +
+                '\r\n' +
+                '[1/1/2024, 10:01 AM] Bob: Hi';
+
+            const result = parser.parse(chat);
+
+            expect(result.messages[0].text).toBe('Shopping list:\n  - milk\n    - oat\n\nThanks!');
+            expect(result.messages[0].raw).toBe('[1/1/2024, 10:00 AM] Alice: Shopping list:\n  - milk\n    - oat\n\nThanks!');
+            expect(result.messages[0].lineRange).toEqual({ start: 1, end: 5 });
+            expect(result.messages[1].text).toBe('Hi');
+        });
+
+        it('should continue media-only messages with the caption text', () => {
+            const chat = `[1/1/2024, 10:00 AM] Alice: <attached: photo.jpg>
+caption on the next line`;
+            
+            const result = parser.parse(chat);
+            
+            expect(result.messages[0].mediaFilename).toBe('photo.jpg');
+            expect(result.messages[0].text).toBe('caption on the next line');
+        });
+
+        it('should not attach lines following an invalid date to the previous message', () => {
+            const chat = `[1/1/2024, 10:00 AM] Alice: Hello
+[32/13/2024, 10:01 AM] Bob: Bad date
+belongs to Bob`;
+            
+            const result = parser.parse(chat);
+            
+            expect(result.messages[0].text).toBe('Hello');
+            expect(result.failedLines.length).toBe(2);
+            expect(result.failedLines[1].content).toBe('belongs to Bob');
+            expect(result.stats.continuationLines).toBe(0);
+        });
+    });
+
+    describe('Polls', () => {
+        it('should read the question, options and votes of a poll', () => {
+            const chat = `12/03/2024, 10:00 - Alice: POLL:
+Where should we eat?
+OPTION: Pizza (3 votes)
+OPTION: Sushi (1 vote)
+OPTION: Tacos
+12/03/2024, 10:05 - Bob: Pizza it is`;
+
+            const [poll, reply] = parser.parse(chat).messages;
+
+            expect(poll.mediaType).toBe('poll');
+            expect(poll.poll).toEqual({
+                question: 'Where should we eat?',
+                options: [
+                    { text: 'Pizza', votes: 3 },
+                    { text: 'Sushi', votes: 1 },
+                    { text: 'Tacos', votes: 0 }
+                ],
+                totalVotes: 4
+            });
+            expect(reply.poll).toBeNull();
+        });
+
+        it('should read polls with iOS direction marks', () => {
+            const chat = '[12/03/2024, 10:00:00] Alice: \u200ePOLL:\n\u200eLunch?\n\u200eOPTION: Yes (2 votes)\n\u200eOPTION: No (0 votes)';
+
+            const [poll] = parser.parse(chat).messages;
+
+            expect(poll.poll.question).toBe('Lunch?');
+            expect(poll.poll.options.map(o => o.text)).toEqual(['Yes', 'No']);
+        });
+
+        describe('with blank lines between options', () => {
+            const chat = '12/03/2024, 10:00 - Alice: POLL:\n\nWhere should we eat?\nOPTION: Pizza (3 votes)\n\nOPTION: Sushi (1 vote)\n\n\nOPTION: Tacos';
+            const expected = {
+                question: 'Where should we eat?',
+                options: [
+                    { text: 'Pizza', votes: 3 },
+                    { text: 'Sushi', votes: 1 },
+                    { text: 'Tacos', votes: 0 }
+                ],
+                totalVotes: 4
+            };
+
+            it('should still read the poll', () => {
+                const [poll] = parser.parse(chat).messages;
+                expect(poll.mediaType).toBe('poll');
+                expect(poll.poll).toEqual(expected);
+            });
+
+            it('should still read the poll in index.html', async () => {
+                const page = await loadInline(['parser', 'media-kinds', 'transcript']);
+                const transcript = page.createTranscriptParser(chat, {});
+                transcript.step(Infinity);
+                const [poll] = transcript.takeCompleted(true);
+
+                expect(poll.messageType).toBe('poll');
+                expect(poll.poll).toEqual(expected);
+            });
+        });
+
+        it('should not treat a message mentioning POLL: as a poll', () => {
+            const [message] = parser.parse('12/03/2024, 10:00 - Alice: POLL: who is in?').messages;
+            expect(message.poll).toBeNull();
+        });
+    });
+
+    describe('System Events', () => {
+        it('should classify system lines into typed events', () => {
+            const result = parser.parseLine('1/1/2024, 10:30 AM - Alice added Bob', 1);
+
+            expect(result.isSystem).toBe(true);
+            expect(result.event).toEqual({ type: 'memberAdded', actor: 'Alice', target: 'Bob', value: null });
+        });
+
+        it('should classify missed calls exported under the caller', () => {
+            const call = parser.parseLine('[1/1/2024, 10:30 AM] Bob: \u200eMissed video call', 1);
+            const text = parser.parseLine('[1/1/2024, 10:31 AM] Bob: Bob left early', 2);
+
+            expect(call.event).toEqual({ type: 'missedCall', actor: 'Bob', target: null, value: 'video' });
+            expect(text.event).toBeNull();
+        });
+
+        it('should not take messages mentioning notices for events', () => {
+            const result = parser.parse(`[1/1/2024, 10:30 AM] Alice: Is this chat end-to-end encrypted? I hope so
+[1/1/2024, 10:31 AM] Bob: Missed voice call again, sorry
+[1/1/2024, 10:32 AM] Bob: I think Alice's security code changed. Weird`);
+
+            expect(result.messages.map(m => m.event)).toEqual([null, null, null]);
+        });
+    });
+
     describe('Failed Lines API', () => {
         it('should store and retrieve failed lines', () => {
-            const chat = `[1/1/2024, 10:00 AM] Alice: Hello
-Invalid line 1
+            const chat = `Invalid line 1
 Invalid line 2
+[1/1/2024, 10:00 AM] Alice: Hello
 [1/1/2024, 10:01 AM] Bob: Hi`;
             
             const result = parser.parse(chat);
@@ -240,8 +570,8 @@ Invalid line 2
             
             expect(failedLines).toEqual(result.failedLines);
             expect(failedLines.length).toBe(2);
-            expect(failedLines[0].lineNumber).toBe(2);
-            expect(failedLines[1].lineNumber).toBe(3);
+            expect(failedLines[0].lineNumber).toBe(1);
+            expect(failedLines[1].lineNumber).toBe(2);
         });
 
     });
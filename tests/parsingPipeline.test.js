@@ -0,0 +1,296 @@
+import { ParsingPipeline } from '../src/parsingPipeline.js';
+import { loadInline } from './inlineScript.js';
+
+// Runs a worker script in this thread; messages arrive asynchronously and as
+// copies, like a real worker's
+class FakeWorker {
+    constructor(source) {
+        this.terminated = false;
+        this.scope = { postMessage: data => this.deliver(this, data) };
+        new Function('self', source)(this.scope);
+    }
+
+    deliver(target, data) {
+        const copy = structuredClone(data);
+        setTimeout(() => {
+            if (!this.terminated) target.onmessage({ data: copy });
+        }, 0);
+    }
+
+    postMessage(data) {
+        this.deliver(this.scope, data);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+// Streams one batch of every parse job, then fails
+class FailingWorker extends FakeWorker {
+    constructor() {
+        super('self.onmessage = () => {};');
+        this.scope.onmessage = ({ data: job }) => {
+            if (job.type !== 'parse') return;
+            this.scope.postMessage({ id: job.id, type: 'batch', messages: [{ text: 'half done' }] });
+            this.scope.postMessage({ id: job.id, type: 'error', message: 'out of memory' });
+        };
+    }
+}
+
+const TRANSCRIPT = [
+    'Exported from a phone',
+    '[05/01/2024, 10:00:00] Alice: Hello',
+    '    indented continuation',
+    '',
+    'after a blank line <This message was edited>',
+    '[05/01/2024, 10:01:00] Bob: <attached: IMG-20240105-WA0001.jpg> and IMG-20240105-WA0002.jpg',
+    '[06/01/2024, 09:00:00] Alice: This message was deleted',
+    '[07/01/2024, 08:00:00] Bob: https://maps.google.com/?q=52.1,4.3',
+    '[08/01/2024, 08:30:00] Alice: Bye'
+].join('\n');
+
+const bytesOf = text => new TextEncoder().encode(text);
+
+const linesOfMessages = count => Array.from({ length: count }, (_, i) =>
+    `[05/01/2024, 10:${String(i % 60).padStart(2, '0')}:00] Alice: message ${i}`).join('\n');
+
+describe('ParsingPipeline', () => {
+    let page;
+
+    beforeAll(async () => {
+        page = await loadInline(['parser', 'media-kinds', 'transcript', 'pipeline']);
+    });
+
+    // The page's parser; the worker runs the same functions from their source
+    const engine = () => ({
+        workerSource: page.buildParserWorkerSource,
+        decode: page.decodeTranscript,
+        createParser: page.createTranscriptParser,
+        indexFiles: page.buildFileIndex
+    });
+
+    // Parses and collects what was streamed; onRestart drops it, as the page does
+    async function collect(pipeline, text, options = {}) {
+        const run = { messages: [], batches: 0, progress: [], restarts: 0 };
+        run.result = await pipeline.parse(bytesOf(text), options, {
+            onBatch: batch => {
+                run.batches++;
+                run.messages.push(...batch);
+            },
+            onProgress: ({ linesDone, totalLines }) => run.progress.push([linesDone, totalLines]),
+            onRestart: () => {
+                run.restarts++;
+                run.messages = [];
+            }
+        });
+        return run;
+    }
+
+    describe('Transcript parser', () => {
+        it('should hold back the newest message until its continuation lines are read', () => {
+            const parser = page.createTranscriptParser(TRANSCRIPT, {});
+            parser.step(3);
+
+            expect(parser.takeCompleted(false)).toEqual([]);
+            parser.step(100);
+            expect(parser.takeCompleted(false).map(m => m.text)).toEqual([
+                'Hello\n    indented continuation\n\nafter a blank line',
+                'and IMG-20240105-WA0002.jpg',
+                'This message was deleted',
+                'https://maps.google.com/?q=52.1,4.3'
+            ]);
+            expect(parser.takeCompleted(true).map(m => m.text)).toEqual(['Bye']);
+            expect(parser.unparsedLines).toEqual(['Exported from a phone']);
+        });
+    });
+
+    const implementations = {
+        'src/parsingPipeline.js': () => ParsingPipeline,
+        'index.html': () => page.ParsingPipeline
+    };
+
+    for (const [where, getClass] of Object.entries(implementations)) {
+        describe(`from ${where}`, () => {
+            let Pipeline;
+
+            const inWorker = (workerClass = FakeWorker) =>
+                new Pipeline(engine(), { useWorker: true, createWorker: source => new workerClass(source) });
+            const inThread = () => new Pipeline(engine(), { useWorker: false });
+
+            beforeEach(() => {
+                Pipeline = getClass();
+                spyOn(console, 'warn');
+            });
+
+            describe('Worker and in-thread parsing', () => {
+                const cases = {
+                    'detected date order': {},
+                    'loose mode': { looseMode: true },
+                    'a date order override': { dateOrderOverride: 'MDY' }
+                };
+
+                for (const [name, options] of Object.entries(cases)) {
+                    it(`should give the same messages and result with ${name}`, async () => {
+                        const worker = await collect(inWorker(), TRANSCRIPT, options);
+                        const thread = await collect(inThread(), TRANSCRIPT, options);
+
+                        expect(console.warn).not.toHaveBeenCalled();
+                        expect(worker.restarts).toBe(0);
+                        expect(worker.messages.length).toBe(5);
+                        expect(worker.messages).toEqual(thread.messages);
+                        expect(worker.result).toEqual(thread.result);
+                    });
+                }
+
+                it('should hand the parser its options', async () => {
+                    const strict = await collect(inThread(), TRANSCRIPT);
+                    const loose = await collect(inWorker(), TRANSCRIPT, { looseMode: true, dateOrderOverride: 'MDY' });
+
+                    expect(strict.messages[1].attachments).toEqual(['IMG-20240105-WA0001.jpg']);
+                    expect(loose.messages[1].attachments).toEqual(['IMG-20240105-WA0001.jpg', 'IMG-20240105-WA0002.jpg']);
+                    expect(loose.result.dateOrder).toEqual({ order: 'MDY', confidence: 1, source: 'override' });
+                    expect(loose.messages[0].date.getMonth()).toBe(4); // 05/01 read as May 1st
+                });
+
+                it('should index files by base name the same way', async () => {
+                    const names = ['Chat.txt', 'media/IMG-1.jpg', 'other/IMG-1.jpg'];
+
+                    expect(await inWorker().indexFiles(names)).toEqual({ 'Chat.txt': 'Chat.txt', 'IMG-1.jpg': 'media/IMG-1.jpg' });
+                    expect(await inThread().indexFiles(names)).toEqual(await inWorker().indexFiles(names));
+                });
+
+                it('should leave the caller\'s bytes usable', async () => {
+                    const bytes = bytesOf(TRANSCRIPT);
+                    await inWorker().parse(bytes, {});
+
+                    expect(bytes.length).toBeGreaterThan(0);
+                    expect(new TextDecoder().decode(bytes)).toBe(TRANSCRIPT);
+                });
+            });
+
+            describe('Batching', () => {
+                let now;
+
+                beforeEach(() => {
+                    now = 0;
+                });
+
+                it('should stream in-thread batches of one ~12ms slice each', async () => {
+                    spyOn(Date, 'now').and.callFake(() => (now += 7)); // one 500-line step per slice
+                    const run = await collect(inThread(), linesOfMessages(5000));
+
+                    expect(run.batches).toBe(10);
+                    expect(run.messages.length).toBe(5000);
+                    expect(run.messages.map(m => m.text)).toEqual(Array.from({ length: 5000 }, (_, i) => `message ${i}`));
+                    expect(run.progress.map(([done]) => done)).toEqual([500, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 4500, 5000]);
+                    expect(run.progress.every(([, total]) => total === 5000)).toBe(true);
+                });
+
+                it('should stream worker batches at most every 100ms', async () => {
+                    spyOn(Date, 'now').and.callFake(() => (now += 101)); // every 2000-line step is due
+                    const run = await collect(inWorker(), linesOfMessages(5000));
+
+                    expect(run.batches).toBe(3);
+                    expect(run.messages.length).toBe(5000);
+                    expect(run.progress).toEqual([[2000, 5000], [4000, 5000], [5000, 5000]]);
+                });
+            });
+
+            describe('Fallback', () => {
+                it('should start over in-thread when the worker reports an error', async () => {
+                    const pipeline = inWorker(FailingWorker);
+                    const run = await collect(pipeline, TRANSCRIPT);
+                    const thread = await collect(inThread(), TRANSCRIPT);
+
+                    expect(run.restarts).toBe(1);
+                    expect(run.messages).toEqual(thread.messages);
+                    expect(run.result).toEqual(thread.result);
+                    expect(pipeline.useWorker).toBe(false);
+                    expect(pipeline.worker).toBeNull();
+                });
+
+                it('should start over in-thread when the worker crashes', async () => {
+                    let crashed;
+                    const pipeline = new Pipeline(engine(), {
+                        useWorker: true,
+                        createWorker: () => {
+                            crashed = { postMessage() {}, terminate() {} };
+                            return crashed;
+                        }
+                    });
+                    const running = collect(pipeline, TRANSCRIPT);
+                    const preventDefault = jasmine.createSpy('preventDefault');
+                    crashed.onerror({ message: 'script error', preventDefault });
+                    const run = await running;
+
+                    expect(preventDefault).toHaveBeenCalled();
+                    expect(run.restarts).toBe(1);
+                    expect(run.messages.length).toBe(5);
+                });
+
+                it('should parse in-thread when no worker can be created', async () => {
+                    const pipeline = new Pipeline(engine(), {
+                        useWorker: true,
+                        createWorker: () => { throw new Error('Workers are disabled'); }
+                    });
+                    const run = await collect(pipeline, TRANSCRIPT);
+
+                    expect(run.restarts).toBe(0);
+                    expect(run.messages.length).toBe(5);
+                    expect(pipeline.useWorker).toBe(false);
+                });
+
+                it('should reject decode errors instead of retrying them', async () => {
+                    const pipeline = new Pipeline({ ...engine(), decode: () => { throw new Error('not UTF-8'); } }, { useWorker: false });
+
+                    await expectAsync(pipeline.parse(bytesOf(TRANSCRIPT), {})).toBeRejectedWith(jasmine.objectContaining({
+                        message: 'not UTF-8',
+                        stage: 'decode'
+                    }));
+                });
+            });
+
+            describe('Cancelling', () => {
+                it('should abandon a parse when the next job starts', async () => {
+                    const pipeline = inWorker();
+                    const first = collect(pipeline, linesOfMessages(2000));
+                    const index = await pipeline.indexFiles(['a/IMG-1.jpg']);
+                    const cancelled = await first;
+
+                    expect(index).toEqual({ 'IMG-1.jpg': 'a/IMG-1.jpg' });
+                    expect(cancelled.result).toBeNull();
+                    expect(cancelled.messages).toEqual([]);
+                });
+
+                it('should stop in-thread parsing between slices', async () => {
+                    spyOn(Date, 'now').and.callFake((() => { let now = 0; return () => (now += 7); })());
+                    const pipeline = inThread();
+                    const first = collect(pipeline, linesOfMessages(5000));
+                    pipeline.cancel();
+                    const cancelled = await first;
+                    await new Promise(resolve => setTimeout(resolve, 10));
+
+                    expect(cancelled.result).toBeNull();
+                    expect(cancelled.batches).toBe(1); // the slice that ran before cancel()
+                    expect(pipeline.active).toBeNull();
+                });
+
+                it('should replace a busy worker', async () => {
+                    const pipeline = inWorker();
+                    const first = pipeline.parse(bytesOf(TRANSCRIPT), {});
+                    const busy = pipeline.worker;
+                    pipeline.cancel();
+
+                    expect(await first).toBeNull();
+                    expect(busy.terminated).toBe(true);
+                    expect(pipeline.worker).toBeNull();
+
+                    const run = await collect(pipeline, TRANSCRIPT);
+                    expect(run.messages.length).toBe(5);
+                    expect(pipeline.worker).not.toBe(busy);
+                });
+            });
+        });
+    }
+});
@@ -0,0 +1,123 @@
+import { ParticipantIdentity } from '../src/participantIdentity.js';
+
+describe('ParticipantIdentity', () => {
+    let identity;
+    let store;
+
+    function msg(sender, text = 'hi') {
+        return { date: new Date(2024, 0, 1), sender, text, isSystem: sender === 'System' };
+    }
+
+    beforeEach(() => {
+        identity = new ParticipantIdentity();
+        store = {};
+        spyOn(localStorage, 'getItem').and.callFake(key => store[key] ?? null);
+        spyOn(localStorage, 'setItem').and.callFake((key, value) => { store[key] = value; });
+    });
+
+    describe('File Names', () => {
+        it('should read the other person from export names', () => {
+            expect(ParticipantIdentity.nameFromFileName('WhatsApp Chat with Alice.zip')).toBe('Alice');
+            expect(ParticipantIdentity.nameFromFileName('exports/WhatsApp Chat - Bob Smith.txt')).toBe('Bob Smith');
+            expect(ParticipantIdentity.nameFromFileName('_chat.txt')).toBeNull();
+        });
+
+        it('should pick the other participant of a one-to-one chat', () => {
+            const messages = [msg('Alice'), msg('Sam'), msg('Alice')];
+
+            expect(identity.guess(messages, ['WhatsApp Chat with Alice.zip'])).toEqual({ sender: 'Sam', source: 'filename' });
+            expect(identity.guess(messages, 'WhatsApp Chat with Carol.zip')).toEqual({ sender: 'Sam', source: 'position' });
+        });
+    });
+
+    describe('System Messages', () => {
+        it('should pick the only participant never named in "You" notices', () => {
+            const messages = [
+                msg('System', 'You created group "Trip"'),
+                msg('System', 'You added Alice'),
+                msg('System', 'Alice added Bob'),
+                msg('Sam'), msg('Alice'), msg('Bob')
+            ];
+
+            expect(identity.guess(messages, 'WhatsApp Chat with Trip.zip')).toEqual({ sender: 'Sam', source: 'system' });
+        });
+
+        it('should not guess when several participants are unnamed', () => {
+            const messages = [msg('System', 'You created group "Trip"'), msg('Sam'), msg('Alice'), msg('Bob')];
+
+            expect(identity.guess(messages)).toBeNull();
+        });
+
+        it('should match whole names only', () => {
+            const messages = [msg('System', 'You added Alicia'), msg('Ali'), msg('Alicia')];
+
+            expect(identity.guess(messages)).toEqual({ sender: 'Ali', source: 'system' });
+        });
+
+        it('should fall back to the second writer of a one-to-one chat only', () => {
+            expect(identity.guess([msg('System', 'Alice joined'), msg('Alice'), msg('Sam'), msg('Sam')]))
+                .toEqual({ sender: 'Sam', source: 'position' });
+            expect(identity.guess([msg('Alice'), msg('Sam'), msg('Bob')])).toBeNull();
+        });
+
+        it('should need a notice addressed to the exporter', () => {
+            const messages = [msg('System', 'Alice added Bob'), msg('Sam'), msg('Alice'), msg('Bob')];
+
+            expect(identity.guess(messages)).toBeNull();
+        });
+    });
+
+    describe('Remembered Choice', () => {
+        it('should prefer the saved participant over the guess', () => {
+            const messages = [msg('Alice'), msg('Sam')];
+            identity.remember('WhatsApp Chat with Alice.zip', 'Alice');
+
+            expect(identity.resolve('WhatsApp Chat with Alice.zip', messages, 'WhatsApp Chat with Alice.zip'))
+                .toEqual({ sender: 'Alice', source: 'saved' });
+        });
+
+        it('should ignore a saved participant who is not in the chat', () => {
+            identity.remember('chat.zip', 'Zoe');
+
+            expect(identity.resolve('chat.zip', [msg('Alice'), msg('Sam')])).toEqual({ sender: 'Sam', source: 'position' });
+        });
+
+        it('should remember that nobody is me', () => {
+            identity.remember('WhatsApp Chat with Alice.zip', null);
+
+            expect(identity.recall('WhatsApp Chat with Alice.zip')).toBeNull();
+            expect(identity.resolve('WhatsApp Chat with Alice.zip', [msg('Alice'), msg('Sam')], 'WhatsApp Chat with Alice.zip'))
+                .toBeNull();
+        });
+
+        it('should forget a choice', () => {
+            identity.remember('chat.zip', 'Alice');
+            identity.forget('chat.zip');
+
+            expect(identity.recall('chat.zip')).toBeUndefined();
+            expect(identity.resolve('chat.zip', [msg('Alice'), msg('Sam')])).toEqual({ sender: 'Sam', source: 'position' });
+        });
+
+        it('should report storage failures', () => {
+            localStorage.setItem.and.throwError('Storage full');
+            spyOn(console, 'error');
+
+            expect(identity.remember('chat.zip', 'Alice')).toBe(false);
+            expect(console.error).toHaveBeenCalled();
+        });
+    });
+
+    describe('Colours', () => {
+        it('should give each sender a stable colour', () => {
+            expect(ParticipantIdentity.colorFor('Alice')).toBe(ParticipantIdentity.colorFor('Alice'));
+            expect(ParticipantIdentity.colorFor('Alice')).toMatch(/^#[0-9a-f]{6}$/);
+        });
+
+        it('should spread senders over the palette', () => {
+            const names = ['Alice', 'Bob', 'Carol', 'Dave', 'Eve', 'Frank', 'Grace', 'Heidi'];
+            const colors = new Set(names.map(name => ParticipantIdentity.colorFor(name)));
+
+            expect(colors.size).toBeGreaterThan(3);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+import { SearchIndex } from '../src/searchIndex.js';
+import { SearchQuery } from '../src/searchQuery.js';
+import { StateManager } from '../src/stateManager.js';
+
+describe('SearchIndex', () => {
+    let index;
+    let messages;
+
+    beforeEach(() => {
+        messages = [
+            { sender: 'Alice', text: 'Meet at the Café tonight?' },
+            { sender: 'Bob', text: 'Hello there, see https://example.com' },
+            { sender: 'Dana', text: 'שָׁלוֹם לכולם' },
+            { sender: 'Omar', text: 'قرأتُ الكتاب' },
+            { sender: 'Bob', text: 'shell script attached', mediaFilename: 'deploy.sh' },
+            { sender: 'Dana', text: 'צה"ל הודיע' }
+        ];
+        index = new SearchIndex().build(messages);
+    });
+
+    describe('Normalization', () => {
+        it('should fold case and diacritics', () => {
+            expect(SearchIndex.normalize('Café ÉCOLE')).toBe('cafe ecole');
+            expect(index.search('cafe').ids).toEqual([0]);
+            expect(index.search('CAFÉ').ids).toEqual([0]);
+        });
+
+        it('should fold Hebrew niqqud and final letters', () => {
+            expect(SearchIndex.normalize('שָׁלוֹם')).toBe('שלומ');
+            expect(index.search('שלום').ids).toEqual([2]);
+            expect(index.search('שלו').ids).toEqual([2]);
+        });
+
+        it('should keep gershayim inside Hebrew words', () => {
+            expect(SearchIndex.tokenize('צה"ל הודיע')).toEqual(['צהל', 'הודיע']);
+            expect(index.search('צה"ל').ids).toEqual([5]);
+        });
+
+        it('should fold Arabic harakat and find words without the definite article', () => {
+            expect(index.search('قرأت').ids).toEqual([3]);
+            expect(index.search('كتاب').ids).toEqual([3]);
+            expect(index.search('الكتاب').ids).toEqual([3]);
+        });
+    });
+
+    describe('Lookup', () => {
+        it('should match tokens by prefix, not substring', () => {
+            expect(index.search('hel').ids).toEqual([1]);
+            expect(index.search('she').ids).toEqual([4]);
+        });
+
+        it('should index senders and attachment names', () => {
+            expect(index.search('bob').ids).toEqual([1, 4]);
+            expect(index.search('deploy').ids).toEqual([4]);
+        });
+
+        it('should intersect every query token and count the results', () => {
+            expect(index.search('bob s')).toEqual({ ids: [1, 4], count: 2 }); // "see", "shell"
+            expect(index.search('bob shell')).toEqual({ ids: [4], count: 1 });
+            expect(index.search('alice shell').count).toBe(0);
+        });
+
+        it('should not answer terms without letters or digits', () => {
+            expect(index.lookup('?!')).toBeNull();
+            expect(index.search('?!').count).toBe(0);
+        });
+
+        it('should index messages added after the build', () => {
+            const id = index.add('Late arrival');
+            expect(index.search('arrival').ids).toEqual([id]);
+        });
+    });
+
+    describe('Intersection', () => {
+        it('should intersect ascending lists', () => {
+            expect(SearchIndex.intersect([1, 3, 5, 7], [2, 3, 4, 7, 9])).toEqual([3, 7]);
+            expect(SearchIndex.intersect([], [1, 2])).toEqual([]);
+        });
+
+        it('should gallop through much longer lists', () => {
+            const long = Array.from({ length: 1000 }, (_, i) => i * 2);
+            expect(SearchIndex.intersect([3, 10, 1998, 2001], long)).toEqual([10, 1998]);
+        });
+    });
+
+    describe('Query Integration', () => {
+        it('should give the same results with and without the index', () => {
+            const queries = ['cafe', 'bob -shell', '"hello there"', 'from:dana שלום', 'hel OR kitab', '/script/'];
+            for (const query of queries) {
+                const plain = messages.filter(SearchQuery.compile(query));
+                const indexed = messages.filter(SearchQuery.compile(query, { index }));
+                expect(indexed).withContext(query).toEqual(plain);
+            }
+        });
+
+        it('should narrow candidates to the top-level indexed terms', () => {
+            expect(new SearchQuery('bob shell', { index }).candidates()).toEqual([4]);
+            expect(new SearchQuery('bob OR dana', { index }).candidates()).toBeNull();
+            expect(new SearchQuery('from:bob', { index }).candidates()).toBeNull();
+        });
+
+        it('should filter StateManager messages through the index', () => {
+            const stateManager = new StateManager();
+            stateManager.setMessages(messages.map(m => ({ ...m, isSystem: false, hasMedia: false })));
+            spyOn(SearchIndex, 'intersect').and.callThrough();
+
+            stateManager.applyFilter({ text: 'bob shell' });
+
+            expect(stateManager.getFilteredMessages().map(m => m.text)).toEqual(['shell script attached']);
+            expect(SearchIndex.intersect).toHaveBeenCalled();
+        });
+    });
+});
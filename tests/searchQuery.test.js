@@ -0,0 +1,317 @@
+import { SearchQuery } from '../src/searchQuery.js';
+import { SearchIndex } from '../src/searchIndex.js';
+import { loadInline } from './inlineScript.js';
+
+describe('SearchQuery', () => {
+    let messages;
+
+    function search(query) {
+        return messages.filter(SearchQuery.compile(query)).map(m => m.id);
+    }
+
+    beforeEach(() => {
+        messages = [
+            {
+                id: 1,
+                date: new Date(2023, 3, 30, 22, 0),
+                sender: 'Alice Smith',
+                text: 'Dinner at 8? See https://example.com/menu',
+                hasMedia: false,
+                mediaType: null,
+                mediaFilename: null
+            },
+            {
+                id: 2,
+                date: new Date(2023, 4, 1, 9, 0),
+                sender: 'Bob',
+                text: 'Photo from the trip',
+                hasMedia: true,
+                mediaType: 'image',
+                mediaFilename: 'IMG-20230501-WA0001.jpg'
+            },
+            {
+                id: 3,
+                date: new Date(2023, 4, 2, 18, 30),
+                sender: 'Alice Smith',
+                text: 'Invoice attached',
+                hasMedia: true,
+                mediaType: 'document',
+                mediaFilename: 'invoice-2023.PDF'
+            },
+            {
+                id: 4,
+                date: new Date(2023, 4, 3, 7, 45),
+                sender: 'Bob',
+                text: 'dinner was great, order #4521',
+                hasMedia: false,
+                mediaType: null,
+                mediaFilename: null
+            }
+        ];
+    });
+
+    describe('Text Terms', () => {
+        it('should match words case-insensitively in text and sender', () => {
+            expect(search('dinner')).toEqual([1, 4]);
+            expect(search('alice')).toEqual([1, 3]);
+        });
+
+        it('should require every word', () => {
+            expect(search('dinner great')).toEqual([4]);
+        });
+
+        it('should match quoted phrases as a whole', () => {
+            expect(search('"dinner was"')).toEqual([4]);
+            expect(search('"was dinner"')).toEqual([]);
+        });
+
+        it('should match regular expressions', () => {
+            expect(search('/#\\d{4}/')).toEqual([4]);
+            expect(search('/^dinner/')).toEqual([4]);
+            expect(search('/^dinner/i')).toEqual([1, 4]);
+        });
+
+        it('should search attachment names', () => {
+            expect(search('WA0001')).toEqual([2]);
+        });
+
+        it('should match everything for an empty query', () => {
+            expect(search('   ')).toEqual([1, 2, 3, 4]);
+            expect(new SearchQuery('').isEmpty()).toBe(true);
+        });
+    });
+
+    describe('Field Operators', () => {
+        it('should filter by sender with from:', () => {
+            expect(search('from:bob')).toEqual([2, 4]);
+            expect(search('from:"Alice Smith" invoice')).toEqual([3]);
+        });
+
+        it('should filter by day with after: and before:', () => {
+            expect(search('after:2023-05-01')).toEqual([2, 3, 4]);
+            expect(search('before:2023-05-01')).toEqual([1]);
+            expect(search('after:2023-05-02 before:2023-05-03')).toEqual([3]);
+        });
+
+        it('should filter by attachment kind with has:', () => {
+            expect(search('has:image')).toEqual([2]);
+            expect(search('has:document')).toEqual([3]);
+            expect(search('has:doc')).toEqual([3]);
+            expect(search('has:media')).toEqual([2]);
+            expect(search('has:attachment')).toEqual([2, 3]);
+            expect(search('has:link')).toEqual([1]);
+        });
+
+        it('should filter by attachment extension with ext:', () => {
+            expect(search('ext:pdf')).toEqual([3]);
+            expect(search('ext:.JPG')).toEqual([2]);
+        });
+
+        it('should treat unknown prefixes as plain text', () => {
+            messages[0].text = 'Meet at 10:30';
+            expect(search('10:30')).toEqual([1]);
+        });
+    });
+
+    describe('Boolean Logic', () => {
+        it('should exclude negated terms', () => {
+            expect(search('dinner -from:bob')).toEqual([1]);
+            expect(search('-has:attachment')).toEqual([1, 4]);
+        });
+
+        it('should not treat hyphens inside words as negation', () => {
+            messages[0].text = 'a well-known place';
+            expect(search('well-known')).toEqual([1]);
+        });
+
+        it('should combine alternatives with OR', () => {
+            expect(search('has:image OR ext:pdf')).toEqual([2, 3]);
+        });
+
+        it('should bind OR looser than implicit AND', () => {
+            expect(search('from:bob dinner OR invoice')).toEqual([3, 4]);
+        });
+
+        it('should group with parentheses', () => {
+            expect(search('from:bob (dinner OR photo)')).toEqual([2, 4]);
+            expect(search('-(from:bob OR has:link)')).toEqual([3]);
+        });
+
+        it('should treat lowercase "or" as a word', () => {
+            expect(search('photo or')).toEqual([]);
+        });
+    });
+
+    describe('Viewer Messages', () => {
+        it('should use attachment lists and the precomputed searchable text', () => {
+            const viewerMessages = [
+                { date: new Date(2023, 4, 1), sender: 'Bob', text: '', attachments: ['VID-1.mp4'], searchable: 'bob  vid-1.mp4' },
+                { date: new Date(2023, 4, 1), sender: 'Bob', text: 'notes', attachments: ['notes.docx'], searchable: 'bob notes notes.docx' }
+            ];
+
+            expect(viewerMessages.filter(SearchQuery.compile('has:video')).length).toBe(1);
+            expect(viewerMessages.filter(SearchQuery.compile('has:document ext:docx')).length).toBe(1);
+            expect(viewerMessages.filter(SearchQuery.compile('vid-1')).length).toBe(1);
+        });
+    });
+
+    describe('Highlighting', () => {
+        function marked(query, text) {
+            return new SearchQuery(query).highlight(text).map(r => text.slice(r.start, r.end));
+        }
+
+        it('should mark word prefixes in the original text', () => {
+            expect(marked('din', 'Dinner? dinner! sardine')).toEqual(['Din', 'din']);
+        });
+
+        it('should map folded matches back to accented and pointed text', () => {
+            expect(marked('cafe', 'Un café noir')).toEqual(['café']);
+            expect(marked('שלום', 'אמר שָׁלוֹם')).toEqual(['שָׁלוֹם']);
+            expect(marked('كتاب', 'قرأت الكتاب')).toEqual(['كتاب']);
+        });
+
+        it('should mark phrases and regex matches', () => {
+            expect(marked('"was great"', 'It Was Great, was great')).toEqual(['Was Great', 'was great']);
+            expect(marked('/\\d+/', 'order 12 and 345')).toEqual(['12', '345']);
+        });
+
+        it('should merge overlapping ranges and skip excluded terms', () => {
+            expect(new SearchQuery('hel hello').highlight('hello')).toEqual([{ start: 0, end: 5 }]);
+            expect(marked('dinner -late from:bob', 'late dinner')).toEqual(['dinner']);
+        });
+    });
+
+    describe('Errors', () => {
+        function errorFor(query) {
+            try {
+                new SearchQuery(query);
+            } catch (error) {
+                return error;
+            }
+            return null;
+        }
+
+        it('should report unterminated quotes with their position', () => {
+            const error = errorFor('from:bob "dinner');
+            expect(error.message).toBe('Unterminated quote starting at position 9');
+            expect(error.position).toBe(9);
+        });
+
+        it('should report invalid regular expressions', () => {
+            expect(errorFor('/(unclosed/').message).toContain('Invalid regular expression /(unclosed/');
+            expect(errorFor('/open').message).toBe('Unterminated regular expression starting at position 0');
+        });
+
+        it('should report invalid dates', () => {
+            expect(errorFor('before:2023-02-30').message).toBe('Invalid date "2023-02-30" in before: at position 0. Use YYYY-MM-DD');
+            expect(errorFor('after:yesterday').message).toContain('Use YYYY-MM-DD');
+        });
+
+        it('should report missing and unknown operator values', () => {
+            expect(errorFor('from:').message).toBe('Missing value after from: at position 0');
+            expect(errorFor('has:gif').message).toContain('Unknown has: value "gif"');
+        });
+
+        it('should report dangling operators', () => {
+            expect(errorFor('OR dinner').message).toBe('OR needs a search term on both sides (position 0)');
+            expect(errorFor('dinner OR').message).toBe('OR needs a search term on both sides (position 7)');
+            expect(errorFor('dinner -').message).toBe('Nothing to exclude after "-" at position 7');
+        });
+
+        it('should report unbalanced parentheses', () => {
+            expect(errorFor('(dinner').message).toBe('Missing ")" for "(" at position 0');
+            expect(errorFor('dinner)').message).toBe('Unexpected ")" at position 6');
+            expect(errorFor('()').message).toBe('Empty parentheses at position 0');
+        });
+    });
+
+    // index.html compiles queries with its own copy; both must answer the same
+    describe('index.html parity', () => {
+        let page;
+        let viewerMessages;
+
+        function viewerMessage(sender, text, date, attachments = []) {
+            return {
+                sender, text, date, attachments,
+                fileExtensions: [...new Set(attachments.map(name => name.split('.').pop().toLowerCase()))],
+                searchable: [sender, text, ...attachments].join(' ').toLowerCase()
+            };
+        }
+
+        const QUERIES = [
+            'dinner', 'din', 'DINNER', 'cafe', 'café', 'שלום', 'كتاب', 'img-2024', 'notes pdf',
+            '"see you"', '"was great"', '/\\d{2}/', '/^bob$/i',
+            'from:alice', 'from:"alice smith"', 'after:2024-01-02', 'before:2024-01-02',
+            'has:image', 'has:video', 'has:audio', 'has:document', 'has:doc', 'has:media', 'has:attachment', 'has:link',
+            'ext:pdf', 'ext:.PDF', '-dinner', 'dinner -late', 'dinner OR trip', '(dinner OR trip) from:bob', '-(dinner OR trip)'
+        ];
+
+        const INVALID = [
+            'from:bob "dinner', '/(unclosed/', '/open', '//', 'before:2023-02-30', 'after:yesterday', 'from:', 'has:gif',
+            'OR dinner', 'dinner OR', 'dinner -', '(dinner', 'dinner)', '()'
+        ];
+
+        beforeAll(async () => {
+            page = await loadInline(['media-kinds', 'search']);
+        });
+
+        beforeEach(() => {
+            viewerMessages = [
+                viewerMessage('Alice Smith', 'Dinner at 8? See you https://example.com', new Date(2024, 0, 1, 20, 0)),
+                viewerMessage('Bob', 'The trip was great, late dinner', new Date(2024, 0, 2, 9, 0), ['IMG-20240102-WA0001.jpg']),
+                viewerMessage('Bob', '', new Date(2024, 0, 2, 9, 5), ['VID-20240102-WA0002.mp4', 'PTT-20240102-WA0003.opus']),
+                viewerMessage('Alice Smith', 'Un café noir, שָׁלוֹם', new Date(2024, 0, 3, 8, 0), ['notes.pdf']),
+                viewerMessage('Chen', 'قرأت الكتاب at 10', new Date(2024, 0, 4, 12, 0))
+            ].map((message, originalIndex) => ({ ...message, originalIndex }));
+        });
+
+        // Ids matched, index candidates and highlights of every message's text
+        function srcAnswer(query, index) {
+            const parsed = new SearchQuery(query, { index });
+            return {
+                ids: viewerMessages.filter((m, id) => parsed.matches(m, index ? id : undefined)).map(m => m.originalIndex),
+                candidates: index ? parsed.candidates() : null,
+                highlights: viewerMessages.map(m => parsed.highlight(m.text))
+            };
+        }
+
+        function pageAnswer(query, index) {
+            const compiled = page.compileSearchQuery(query, index);
+            return {
+                ids: viewerMessages.filter(m => compiled.matches(m)).map(m => m.originalIndex),
+                candidates: compiled.candidates,
+                highlights: viewerMessages.map(m => compiled.highlight(m.text))
+            };
+        }
+
+        for (const query of QUERIES) {
+            it(`should answer ${query} the same way`, () => {
+                const srcIndex = new SearchIndex();
+                const pageIndex = new page.SearchIndex();
+                for (const m of viewerMessages) {
+                    srcIndex.add(m.searchable);
+                    pageIndex.add(m.searchable);
+                }
+
+                const indexed = srcAnswer(query, srcIndex);
+                expect(indexed.ids.length).toBeGreaterThan(0);
+                expect(pageAnswer(query, pageIndex)).toEqual(indexed);
+                expect(pageAnswer(query, null)).toEqual(srcAnswer(query, null));
+            });
+        }
+
+        for (const query of INVALID) {
+            it(`should reject ${query} the same way`, () => {
+                let expected = null;
+                try {
+                    new SearchQuery(query);
+                } catch (error) {
+                    expected = { message: error.message, position: error.position };
+                }
+
+                expect(expected).not.toBeNull();
+                expect(() => page.compileSearchQuery(query)).toThrow(jasmine.objectContaining(expected));
+            });
+        }
+    });
+});
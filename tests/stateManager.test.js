@@ -210,6 +210,27 @@ describe('StateManager', () => {
             });
         });
 
+        it('should apply search query operators', () => {
+            stateManager.applyFilter({ text: 'from:alice -has:document' });
+
+            expect(stateManager.getFilteredMessages().map(m => m.text)).toEqual(['Hello world']);
+        });
+
+        it('should emit filter:error and keep results for malformed queries', () => {
+            const onError = jasmine.createSpy('onError');
+            const onApplied = jasmine.createSpy('onApplied');
+            stateManager.subscribe('filter:error', onError);
+            stateManager.subscribe('filter:applied', onApplied);
+            stateManager.applyFilter({ text: 'alice' });
+
+            stateManager.applyFilter({ text: 'alice "unclosed' });
+
+            expect(onApplied).toHaveBeenCalledTimes(1);
+            expect(onError.calls.mostRecent().args[0].error.message).toBe('Unterminated quote starting at position 6');
+            expect(stateManager.getFilter().text).toBe('alice');
+            expect(stateManager.getFilteredMessages().length).toBe(3);
+        });
+
         it('should clear specific filter', () => {
             stateManager.applyFilter({ text: 'test', type: 'media' });
             stateManager.clearFilter('text');
@@ -230,6 +251,151 @@ describe('StateManager', () => {
         });
     });
 
+    describe('Participant Filters', () => {
+        beforeEach(() => {
+            stateManager.setMessages(mockMessages);
+        });
+
+        it('should count messages per participant, busiest first', () => {
+            expect(stateManager.getParticipantCounts()).toEqual([
+                { sender: 'Alice', count: 2 },
+                { sender: 'Bob', count: 1 },
+                { sender: 'Charlie', count: 1 }
+            ]);
+        });
+
+        it('should show only the selected participants', () => {
+            stateManager.applyFilter({ participants: ['Alice', 'Charlie'] });
+
+            expect(stateManager.getFilteredMessages().map(m => m.sender)).toEqual(['Alice', 'Charlie', 'Alice']);
+        });
+
+        it('should exclude system messages', () => {
+            stateManager.applyFilter({ excludeSystem: true });
+
+            expect(stateManager.getFilteredMessages().length).toBe(4);
+            expect(stateManager.getFilteredMessages().some(m => m.isSystem)).toBe(false);
+        });
+
+        it('should keep only the exchange between two participants', () => {
+            stateManager.applyFilter({ conversation: ['Alice', 'Bob'] });
+            expect(stateManager.getFilteredMessages().map(m => m.text)).toEqual(['Hello world', 'Check this photo']);
+
+            // The system message between Bob and Charlie doesn't break their exchange
+            stateManager.applyFilter({ conversation: ['Charlie', 'Bob'] });
+            expect(stateManager.getFilteredMessages().map(m => m.sender)).toEqual(['Bob', 'Charlie']);
+        });
+
+        it('should combine with the other filters and clear together', () => {
+            stateManager.applyFilter({ participants: ['Alice'], type: 'documents' });
+            expect(stateManager.getFilteredMessages().map(m => m.text)).toEqual(['Here is a document']);
+
+            stateManager.clearFilter('participants');
+            const filter = stateManager.getFilter();
+            expect(filter.participants).toEqual([]);
+            expect(filter.conversation).toBeNull();
+            expect(filter.type).toBe('documents');
+        });
+    });
+
+    describe('Message Flags', () => {
+        it('should show only edited, deleted or view-once messages', () => {
+            mockMessages[0].edited = true;
+            mockMessages[3].deleted = true;
+            stateManager.setMessages(mockMessages);
+
+            stateManager.applyFilter({ flag: 'edited' });
+            expect(stateManager.getFilteredMessages().map(m => m.text)).toEqual(['Hello world']);
+
+            stateManager.applyFilter({ flag: 'deleted' });
+            expect(stateManager.getFilteredMessages().map(m => m.sender)).toEqual(['Charlie']);
+
+            stateManager.clearFilter('flag');
+            expect(stateManager.getFilteredMessages().length).toBe(5);
+        });
+    });
+
+    describe('System Events', () => {
+        beforeEach(() => {
+            mockMessages[2].event = { type: 'memberAdded', actor: 'Alice', target: 'Charlie', value: null };
+            mockMessages.push({
+                date: new Date('2024-01-03T08:00:00'),
+                sender: 'System',
+                text: "Alice changed this group's icon",
+                hasMedia: false,
+                mediaType: null,
+                isSystem: true,
+                event: { type: 'iconChanged', actor: 'Alice', target: null, value: null }
+            });
+            stateManager.setMessages(mockMessages);
+        });
+
+        it('should hide chosen event types', () => {
+            stateManager.applyFilter({ hiddenEvents: ['iconChanged'] });
+            expect(stateManager.getFilteredMessages().length).toBe(5);
+            expect(stateManager.getFilteredMessages()[2].text).toBe('Alice added Charlie');
+
+            stateManager.clearFilter('events');
+            expect(stateManager.getFilteredMessages().length).toBe(6);
+        });
+
+        it('should count event types and list the membership history', () => {
+            expect(stateManager.getEventCounts()).toEqual([
+                { type: 'iconChanged', count: 1 },
+                { type: 'memberAdded', count: 1 }
+            ]);
+            expect(stateManager.getMembershipHistory()).toEqual([
+                { date: mockMessages[2].date, type: 'memberAdded', actor: 'Alice', target: 'Charlie' }
+            ]);
+        });
+    });
+
+    describe('Find in Chat', () => {
+        beforeEach(() => {
+            stateManager.setMessages(mockMessages);
+        });
+
+        it('should find hits without filtering messages out', () => {
+            const state = stateManager.find('alice');
+
+            expect(state.positions).toEqual([0, 2, 4]);
+            expect(state.label).toBe('1 of 3');
+            expect(stateManager.getFilteredMessages().length).toBe(5);
+        });
+
+        it('should step through hits and wrap around', () => {
+            const moved = jasmine.createSpy('moved');
+            stateManager.subscribe('find:moved', moved);
+            stateManager.find('alice');
+
+            expect(stateManager.findNext().position).toBe(2);
+            expect(stateManager.findNext().position).toBe(4);
+            expect(stateManager.findNext().label).toBe('1 of 3');
+            expect(stateManager.findPrevious().position).toBe(4);
+            expect(moved).toHaveBeenCalledTimes(4);
+        });
+
+        it('should follow the filter', () => {
+            stateManager.find('alice');
+            stateManager.applyFilter({ type: 'documents' });
+
+            expect(stateManager.getFindState().positions).toEqual([0]);
+        });
+
+        it('should report no matches', () => {
+            expect(stateManager.find('zebra').label).toBe('No matches');
+            expect(stateManager.findNext().position).toBe(-1);
+        });
+
+        it('should highlight the find query and clear it', () => {
+            stateManager.find('hel');
+            expect(stateManager.getFindHighlights('Hello world')).toEqual([{ start: 0, end: 3 }]);
+
+            stateManager.clearFind();
+            expect(stateManager.getFindHighlights('Hello world')).toEqual([]);
+            expect(stateManager.getFindState().label).toBe('');
+        });
+    });
 
     describe('Storage', () => {
         beforeEach(() => {
@@ -249,6 +415,21 @@ describe('StateManager', () => {
             );
         });
 
+        it('should persist participant filters', () => {
+            stateManager.applyFilter({ participants: ['Alice', 'Bob'], excludeSystem: true, conversation: ['Alice', 'Bob'] });
+            stateManager.saveToStorage();
+
+            const saved = JSON.parse(localStorage.setItem.calls.mostRecent().args[1]);
+            expect(saved.filter.participants).toEqual(['Alice', 'Bob']);
+            expect(saved.filter.excludeSystem).toBe(true);
+            expect(saved.filter.conversation).toEqual(['Alice', 'Bob']);
+
+            localStorage.getItem.and.returnValue(JSON.stringify(saved));
+            const restored = new StateManager();
+            restored.loadFromStorage();
+            expect(restored.getFilter().participants).toEqual(['Alice', 'Bob']);
+        });
+
         it('should load state from localStorage', () => {
             const savedState = {
                 filter: { text: 'saved', type: 'media' }
@@ -264,6 +445,21 @@ describe('StateManager', () => {
             expect(filter.type).toBe('media');
         });
 
+        it('should drop a saved query that does not parse', () => {
+            spyOn(console, 'warn');
+            localStorage.getItem.and.returnValue(JSON.stringify({
+                filter: { text: 'from:Alice (lunch', type: 'media' }
+            }));
+
+            expect(stateManager.loadFromStorage()).toBe(true);
+
+            const filter = stateManager.getFilter();
+            expect(filter.text).toBe('');
+            expect(filter.type).toBe('media');
+            expect(console.warn).toHaveBeenCalled();
+            expect(() => stateManager.applyFilter({})).not.toThrow();
+        });
+
         it('should handle storage errors gracefully', () => {
             spyOn(console, 'error'); // Suppress console.error output
             localStorage.setItem.and.throwError('Storage full');
@@ -0,0 +1,102 @@
+import { SystemEventClassifier, EVENT_TYPES } from '../src/systemEvents.js';
+
+describe('SystemEventClassifier', () => {
+    let classifier;
+
+    function classify(text, sender) {
+        const { type, actor, target, value } = classifier.classify(text, sender);
+        return [type, actor, target, value];
+    }
+
+    beforeEach(() => {
+        classifier = new SystemEventClassifier();
+    });
+
+    describe('Membership', () => {
+        it('should classify added, removed, left and joined with actor and target', () => {
+            expect(classify('Alice added Bob')).toEqual(['memberAdded', 'Alice', 'Bob', null]);
+            expect(classify('You added Carol and Dan')).toEqual(['memberAdded', 'You', 'Carol and Dan', null]);
+            expect(classify('Alice removed you')).toEqual(['memberRemoved', 'Alice', 'you', null]);
+            expect(classify('Bob left')).toEqual(['memberLeft', 'Bob', null, null]);
+            expect(classify("Eve joined using this group's invite link")).toEqual(['memberJoined', 'Eve', null, null]);
+        });
+
+        it('should read the group name when a group is created', () => {
+            expect(classify('Alice created group "Trip 2024"')).toEqual(['groupCreated', 'Alice', null, 'Trip 2024']);
+        });
+    });
+
+    describe('Group Changes', () => {
+        it('should classify renames with the new name', () => {
+            expect(classify('Bob changed the subject from "Trip" to "Trip 2024"')).toEqual(['groupRenamed', 'Bob', null, 'Trip 2024']);
+            expect(classify('You changed the group name to "Family"')).toEqual(['groupRenamed', 'You', null, 'Family']);
+        });
+
+        it('should classify icon and description changes before generic removals', () => {
+            expect(classify("Alice changed this group's icon")).toEqual(['iconChanged', 'Alice', null, null]);
+            expect(classify("Alice removed this group's icon")).toEqual(['iconChanged', 'Alice', null, null]);
+            expect(classify('Bob changed the group description')).toEqual(['descriptionChanged', 'Bob', null, null]);
+        });
+
+        it('should classify disappearing messages as on or off', () => {
+            expect(classify('Alice turned on disappearing messages. New messages will disappear from this chat 7 days after they\'re sent.'))
+                .toEqual(['disappearingMessages', 'Alice', null, 'on']);
+            expect(classify('Disappearing messages were turned off')).toEqual(['disappearingMessages', null, null, 'off']);
+        });
+    });
+
+    describe('Notices and Calls', () => {
+        it('should classify security code changes with the contact as target', () => {
+            expect(classify('Your security code with Bob changed. Tap to learn more.')).toEqual(['securityCodeChanged', null, 'Bob', null]);
+            expect(classify("Bob's security code changed. Tap to learn more.")).toEqual(['securityCodeChanged', null, 'Bob', null]);
+        });
+
+        it('should classify the encryption notice', () => {
+            expect(classify('Messages and calls are end-to-end encrypted. No one outside of this chat can read them.')[0]).toBe('encryption');
+        });
+
+        it('should make the sender the actor of a missed call', () => {
+            expect(classify('‎Missed voice call', 'Alice')).toEqual(['missedCall', 'Alice', null, 'voice']);
+            expect(classify('Missed video call', 'Bob')).toEqual(['missedCall', 'Bob', null, 'video']);
+        });
+
+        it('should fall back to other for unknown wordings', () => {
+            expect(classify('Alice pinned a message')).toEqual(['other', null, null, null]);
+            expect(EVENT_TYPES).toContain('other');
+        });
+
+        it('should only keep notices among messages sent under a name', () => {
+            expect(classifier.classifySenderMessage('Missed voice call', 'Alice').type).toBe('missedCall');
+            expect(classifier.classifySenderMessage('Bob left', 'Alice')).toBeNull();
+            expect(classifier.classifySenderMessage('See you at 8', 'Alice')).toBeNull();
+        });
+
+        it('should match notices sent under a name by their exact wording only', () => {
+            const sent = text => classifier.classifySenderMessage(text, 'Alice');
+
+            expect(sent('Messages and calls are end-to-end encrypted. No one outside of this chat, not even WhatsApp, can read or listen to them. Tap to learn more.').type).toBe('encryption');
+            expect(sent('Your security code with Bob changed. Tap to learn more.').target).toBe('Bob');
+            expect(sent('\u200eMissed video call').value).toBe('video');
+            expect(sent('Is this chat end-to-end encrypted? I hope so')).toBeNull();
+            expect(sent('Missed voice call again, sorry')).toBeNull();
+            expect(sent('Did you see that Bob\'s security code changed? Weird')).toBeNull();
+            expect(sent('Why you turned on disappearing messages, I will never know')).toBeNull();
+        });
+    });
+
+    describe('Membership History', () => {
+        it('should list membership events in order', () => {
+            const date = new Date(2024, 0, 1);
+            const messages = [
+                { date, event: classifier.classify('Alice created group "Trip"') },
+                { date, event: null },
+                { date, event: classifier.classify("Alice changed this group's icon") },
+                { date, event: classifier.classify('Alice added Bob') },
+                { date, event: classifier.classify('Bob left') }
+            ];
+
+            expect(SystemEventClassifier.membershipHistory(messages).map(e => `${e.type}:${e.actor}:${e.target}`))
+                .toEqual(['groupCreated:Alice:null', 'memberAdded:Alice:Bob', 'memberLeft:Bob:null']);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import { VCardParser } from '../src/vCardParser.js';
+
+describe('VCardParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new VCardParser();
+    });
+
+    describe('Versions', () => {
+        it('should read a vCard 3.0 contact', () => {
+            const [contact] = parser.parse([
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                'N:Smith;Bob;;Dr.;',
+                'FN:Bob Smith',
+                'ORG:Acme Inc.;Support',
+                'TITLE:Engineer',
+                'TEL;TYPE=CELL,VOICE:+1 555 0100',
+                'TEL;TYPE=WORK:+1 555 0199',
+                'EMAIL;TYPE=INTERNET,WORK:bob@acme.example',
+                'END:VCARD'
+            ].join('\r\n'));
+
+            expect(contact).toEqual({
+                name: 'Bob Smith',
+                phones: [{ value: '+1 555 0100', type: 'cell' }, { value: '+1 555 0199', type: 'work' }],
+                emails: [{ value: 'bob@acme.example', type: 'work' }],
+                organization: 'Acme Inc., Support',
+                title: 'Engineer'
+            });
+        });
+
+        it('should read vCard 2.1 bare parameters and quoted-printable values', () => {
+            const [contact] = parser.parse([
+                'BEGIN:VCARD',
+                'VERSION:2.1',
+                'N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:M=C3=BCller;J=C3=B6rg;;;',
+                'TEL;CELL;PREF:+49 170 1234567',
+                'END:VCARD'
+            ].join('\r\n'));
+
+            expect(contact.name).toBe('Jörg Müller');
+            expect(contact.phones).toEqual([{ value: '+49 170 1234567', type: 'cell' }]);
+        });
+
+        it('should join quoted-printable soft line breaks', () => {
+            const [contact] = parser.parse([
+                'BEGIN:VCARD',
+                'VERSION:2.1',
+                'FN;CHARSET=UTF-8;QUOTED-PRINTABLE:=D7=93=D7=A0=',
+                '=D7=94 =D7=9B=D7=94=D7=9F',
+                'END:VCARD'
+            ].join('\r\n'));
+
+            expect(contact.name).toBe('דנה כהן');
+        });
+
+        it('should read vCard 4.0 quoted types and tel: URIs', () => {
+            const [contact] = parser.parse([
+                'BEGIN:VCARD',
+                'VERSION:4.0',
+                'FN:Carol Jones',
+                'TEL;VALUE=uri;TYPE="cell,voice":tel:+1-555-0123',
+                'EMAIL:mailto:carol@example.com',
+                'END:VCARD'
+            ].join('\n'));
+
+            expect(contact.phones).toEqual([{ value: '+1-555-0123', type: 'cell' }]);
+            expect(contact.emails).toEqual([{ value: 'carol@example.com', type: null }]);
+        });
+    });
+
+    describe('Text Values', () => {
+        it('should unfold continued lines', () => {
+            const [contact] = parser.parse('BEGIN:VCARD\r\nFN:Alexandra Konstan\r\n tinopoulou\r\nEND:VCARD');
+            expect(contact.name).toBe('Alexandra Konstantinopoulou');
+        });
+
+        it('should unescape commas, semicolons and newlines', () => {
+            const [contact] = parser.parse('BEGIN:VCARD\nFN:Smith\\, Jr.\nORG:R\\;D Labs\nTITLE:Line one\\nLine two\nEND:VCARD');
+            expect(contact.name).toBe('Smith, Jr.');
+            expect(contact.organization).toBe('R;D Labs');
+            expect(contact.title).toBe('Line one\nLine two');
+        });
+
+        it('should use the labels WhatsApp and Apple attach to grouped items', () => {
+            const [contact] = parser.parse([
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                'FN:Dana',
+                'item1.TEL;waid=972501234567:+972 50-123-4567',
+                'item1.X-ABLabel:_$!<Mobile>!$_',
+                'item2.TEL:+972 3-765-4321',
+                'item2.X-ABLabel:Office',
+                'END:VCARD'
+            ].join('\n'));
+
+            expect(contact.phones).toEqual([
+                { value: '+972 50-123-4567', type: 'Mobile' },
+                { value: '+972 3-765-4321', type: 'Office' }
+            ]);
+        });
+    });
+
+    describe('Files', () => {
+        it('should read every contact of a multi-contact file', () => {
+            const contacts = parser.parse('BEGIN:VCARD\nFN:One\nEND:VCARD\nBEGIN:VCARD\nN:Two;Second;;;\nEND:VCARD\n');
+            expect(contacts.map(c => c.name)).toEqual(['One', 'Second Two']);
+        });
+
+        it('should ignore text outside cards and return nothing for empty files', () => {
+            expect(parser.parse('FN:Stray\nnot a vcard')).toEqual([]);
+            expect(parser.parse('')).toEqual([]);
+        });
+    });
+
+    describe('Copy as Text', () => {
+        it('should render a contact as plain text', () => {
+            const contact = {
+                name: 'Bob Smith',
+                phones: [{ value: '+1 555 0100', type: 'cell' }, { value: '+1 555 0101', type: null }],
+                emails: [{ value: 'bob@acme.example', type: 'work' }],
+                organization: 'Acme Inc.',
+                title: 'Engineer'
+            };
+
+            expect(VCardParser.toText(contact)).toBe('Bob Smith\nEngineer, Acme Inc.\nCell: +1 555 0100\n+1 555 0101\nWork: bob@acme.example');
+        });
+    });
+});
@@ -0,0 +1,183 @@
+import { VoiceNotePlayer, WAVEFORM_BARS } from '../src/voiceNotePlayer.js';
+
+describe('VoiceNotePlayer', () => {
+    let player;
+    let audio;
+
+    // Stands in for the shared audio element, which jsdom can't play
+    const fakeAudio = () => Object.assign(document.createElement('div'), {
+        paused: true,
+        src: '',
+        currentTime: 0,
+        duration: NaN,
+        playbackRate: 1,
+        defaultPlaybackRate: 1,
+        play() {
+            this.paused = false;
+            this.dispatchEvent(new Event('play'));
+            return Promise.resolve();
+        },
+        pause() {
+            this.paused = true;
+            this.dispatchEvent(new Event('pause'));
+        }
+    });
+
+    const INFO = { duration: 65, peaks: new Array(WAVEFORM_BARS).fill(0.5) };
+
+    const view = (filename, url) => {
+        const element = player.createView(url, filename);
+        document.body.appendChild(element);
+        return element;
+    };
+
+    beforeEach(() => {
+        audio = fakeAudio();
+        player = new VoiceNotePlayer({ audio });
+        spyOn(player, 'loadInfo').and.callFake(url => {
+            player.info.set(url, INFO);
+            return Promise.resolve(INFO);
+        });
+    });
+
+    afterEach(() => {
+        document.querySelectorAll('.media-voice-note').forEach(el => el.remove());
+    });
+
+    describe('Voice Notes', () => {
+        it('should recognise Android and iOS voice notes only', () => {
+            expect(VoiceNotePlayer.isVoiceNote('PTT-20240105-WA0001.opus')).toBe(true);
+            expect(VoiceNotePlayer.isVoiceNote('Media/00000012-AUDIO-2024-01-05-10-20-30.opus')).toBe(true);
+            expect(VoiceNotePlayer.isVoiceNote('AUD-20240105-WA0002.mp3')).toBe(false);
+            expect(VoiceNotePlayer.isVoiceNote('voice-note.opus')).toBe(false);
+        });
+
+        it('should format durations', () => {
+            expect(VoiceNotePlayer.formatDuration(7.9)).toBe('0:07');
+            expect(VoiceNotePlayer.formatDuration(65)).toBe('1:05');
+            expect(VoiceNotePlayer.formatDuration(NaN)).toBe('-:--');
+            expect(VoiceNotePlayer.formatDuration(Infinity)).toBe('-:--');
+        });
+    });
+
+    describe('Waveform', () => {
+        it('should scale the loudest sample of each slice', () => {
+            expect(VoiceNotePlayer.peaks(Float32Array.from([0, 0.25, -0.5, 0.1]), 2)).toEqual([0.5, 1]);
+        });
+
+        it('should give flat peaks for silence and very short clips', () => {
+            expect(VoiceNotePlayer.peaks(new Float32Array(8), 4)).toEqual([0, 0, 0, 0]);
+            expect(VoiceNotePlayer.peaks(new Float32Array(2), 4)).toEqual([0, 0, 0, 0]);
+        });
+
+        it('should draw the decoded waveform and show the duration before playback', async () => {
+            const element = view('PTT-1.opus', 'blob:test/1');
+            await player.loadInfo.calls.mostRecent().returnValue;
+
+            expect(element.querySelectorAll('.voice-note-bar').length).toBe(WAVEFORM_BARS);
+            expect(element.querySelector('.voice-note-bar').style.height).toBe('50%');
+            expect(element.querySelector('.voice-note-time').textContent).toBe('1:05');
+            expect(element.querySelector('.voice-note-play').textContent).toBe('▶');
+        });
+    });
+
+    describe('Playback', () => {
+        it('should play one clip at a time', () => {
+            const first = view('PTT-1.opus', 'blob:test/1');
+            const second = view('PTT-2.opus', 'blob:test/2');
+
+            first.querySelector('.voice-note-play').click();
+            expect(first.classList.contains('playing')).toBe(true);
+
+            second.querySelector('.voice-note-play').click();
+            expect(audio.src).toBe('blob:test/2');
+            expect(first.classList.contains('playing')).toBe(false);
+            expect(second.classList.contains('playing')).toBe(true);
+        });
+
+        it('should pause and resume the current clip', () => {
+            const element = view('PTT-1.opus', 'blob:test/1');
+            const play = element.querySelector('.voice-note-play');
+
+            play.click();
+            play.click();
+            expect(audio.paused).toBe(true);
+            expect(play.getAttribute('aria-label')).toBe('Play');
+
+            play.click();
+            expect(audio.paused).toBe(false);
+        });
+
+        it('should cycle through the speeds and keep them for the next clip', () => {
+            const element = view('PTT-1.opus', 'blob:test/1');
+            const rate = element.querySelector('.voice-note-rate');
+
+            expect(rate.textContent).toBe('1x');
+            rate.click();
+            expect(rate.textContent).toBe('1.5x');
+            rate.click();
+            expect(audio.playbackRate).toBe(2);
+
+            element.querySelector('.voice-note-play').click();
+            expect(audio.playbackRate).toBe(2);
+
+            rate.click();
+            expect(rate.textContent).toBe('1x');
+        });
+
+        it('should show progress and start other clips where they are clicked', async () => {
+            const element = view('PTT-1.opus', 'blob:test/1');
+            await player.loadInfo.calls.mostRecent().returnValue;
+
+            player.seek('PTT-1.opus', 'blob:test/1', 0.5);
+            expect(audio.currentTime).toBe(32.5);
+            expect(element.querySelector('.voice-note-time').textContent).toBe('0:32');
+            expect(element.querySelectorAll('.voice-note-bar.played').length).toBe(WAVEFORM_BARS / 2);
+        });
+
+        it('should keep playing when the list recycles the view', () => {
+            view('PTT-1.opus', 'blob:test/1').querySelector('.voice-note-play').click();
+            document.querySelector('.media-voice-note').remove();
+
+            const recreated = view('PTT-1.opus', 'blob:test/1');
+            expect(audio.paused).toBe(false);
+            expect(recreated.classList.contains('playing')).toBe(true);
+        });
+    });
+
+    describe('Auto-advance', () => {
+        beforeEach(() => {
+            player.resolveURL = jasmine.createSpy('resolveURL').and.callFake(name => Promise.resolve(`blob:${name}`));
+            player.onAdvance = jasmine.createSpy('onAdvance');
+            player.setQueue(['PTT-1.opus', 'IMG-1.jpg', 'PTT-2.opus']);
+        });
+
+        it('should queue voice notes only', () => {
+            expect(player.queue).toEqual(['PTT-1.opus', 'PTT-2.opus']);
+            expect(player.nextInQueue('PTT-1.opus')).toBe('PTT-2.opus');
+            expect(player.nextInQueue('PTT-2.opus')).toBeNull();
+        });
+
+        it('should play the next voice note when one ends', async () => {
+            player.play('PTT-1.opus', 'blob:PTT-1.opus');
+            audio.paused = true;
+
+            await player.advance();
+
+            expect(player.current).toBe('PTT-2.opus');
+            expect(audio.src).toBe('blob:PTT-2.opus');
+            expect(audio.paused).toBe(false);
+            expect(player.onAdvance).toHaveBeenCalledWith('PTT-2.opus');
+        });
+
+        it('should stop after the last voice note', async () => {
+            player.play('PTT-2.opus', 'blob:PTT-2.opus');
+            audio.paused = true;
+
+            await player.advance();
+
+            expect(player.current).toBeNull();
+            expect(player.onAdvance).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Test helper - builds minimal ZIP archives (no CRCs) in memory
+ */
+
+/**
+ * Build a ZIP from entries, or from a name -> text map for stored text files
+ * @param {Array<{name: string, data: Uint8Array|string, method?: number}>|Object<string, string>} files
+ * @returns {Blob}
+ */
+export function buildZip(files) {
+    const encoder = new TextEncoder();
+    const entries = (Array.isArray(files) ? files : Object.entries(files).map(([name, data]) => ({ name, data })))
+        .map(file => typeof file.data === 'string' ? { ...file, data: encoder.encode(file.data) } : file);
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    
+    for (const file of entries) {
+        const name = encoder.encode(file.name);
+        const method = file.method || 0;
+        // Local header with a 4-byte extra field the central directory doesn't have
+        const local = new DataView(new ArrayBuffer(30 + name.length + 4));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(8, method, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 4, true);
+        new Uint8Array(local.buffer).set(name, 30);
+        
+        const entry = new DataView(new ArrayBuffer(46 + name.length));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(10, method, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        new Uint8Array(entry.buffer).set(name, 46);
+        
+        chunks.push(new Uint8Array(local.buffer), file.data);
+        central.push(new Uint8Array(entry.buffer));
+        offset += local.byteLength + file.data.length;
+    }
+    
+    const dirSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, dirSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)]);
+}
@@ -1,4 +1,5 @@
 import { ZipHandler } from '../src/zipHandler.js';
+import { buildZip } from './zipBuilder.js';
 
 describe('ZipHandler', () => {
     let handler;
@@ -79,6 +80,93 @@ describe('ZipHandler', () => {
             expect(url1).toBe(url2);
             expect(URL.createObjectURL).toHaveBeenCalledTimes(1); // Still only once
         });
+
+        it('should evict by byte budget', () => {
+            handler = new ZipHandler({ maxCacheSize: 10, maxCacheBytes: 8 });
+            handler.mediaFiles.set('big1.mp4', new Uint8Array(4));
+            handler.mediaFiles.set('big2.mp4', new Uint8Array(4));
+            handler.mediaFiles.set('big3.mp4', new Uint8Array(4));
+
+            handler.getMediaURL('big1.mp4');
+            handler.getMediaURL('big2.mp4');
+            expect(handler.urlCache.totalBytes).toBe(8);
+
+            // 12 bytes exceed the budget although only 3 of 10 slots are used
+            handler.getMediaURL('big3.mp4');
+            expect(handler.urlCache.has('big1.mp4')).toBe(false);
+            expect(handler.urlCache.has('big3.mp4')).toBe(true);
+            expect(handler.urlCache.totalBytes).toBe(8);
+        });
+
+        it('should keep an entry larger than the whole budget', () => {
+            handler = new ZipHandler({ maxCacheSize: 10, maxCacheBytes: 2 });
+            handler.mediaFiles.set('huge.mp4', new Uint8Array(5));
+
+            const url = handler.getMediaURL('huge.mp4');
+            expect(url).toBeTruthy();
+            expect(handler.urlCache.has('huge.mp4')).toBe(true);
+            expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+        });
+
+        it('should not evict pinned entries until unpinned', () => {
+            handler.mediaFiles.set('file1.jpg', new Uint8Array([1]));
+            handler.mediaFiles.set('file2.jpg', new Uint8Array([2]));
+            handler.mediaFiles.set('file3.jpg', new Uint8Array([3]));
+            handler.mediaFiles.set('file4.jpg', new Uint8Array([4]));
+
+            handler.getMediaURL('file1.jpg');
+            handler.pinMedia('file1.jpg');
+            handler.getMediaURL('file2.jpg');
+            handler.getMediaURL('file3.jpg');
+            handler.getMediaURL('file4.jpg');
+
+            // file2 goes instead of the pinned file1
+            expect(handler.urlCache.has('file1.jpg')).toBe(true);
+            expect(handler.urlCache.has('file2.jpg')).toBe(false);
+
+            handler.unpinMedia('file1.jpg');
+            expect(handler.urlCache.size).toBe(3);
+            expect(handler.getCacheStats().pinned).toBe(0);
+        });
+
+        it('should trim over-budget entries once the last pin is released', () => {
+            handler = new ZipHandler({ maxCacheSize: 1 });
+            handler.mediaFiles.set('file1.jpg', new Uint8Array([1]));
+            handler.mediaFiles.set('file2.jpg', new Uint8Array([2]));
+
+            handler.getMediaURL('file1.jpg');
+            handler.pinMedia('file1.jpg');
+            handler.pinMedia('file1.jpg');
+            handler.getMediaURL('file2.jpg');
+            expect(handler.urlCache.size).toBe(2);
+
+            handler.unpinMedia('file1.jpg');
+            expect(handler.urlCache.size).toBe(2); // Still pinned once
+
+            handler.unpinMedia('file1.jpg');
+            expect(handler.urlCache.size).toBe(1);
+            expect(handler.urlCache.has('file1.jpg')).toBe(false);
+        });
+
+        it('should report hits, misses, evictions and bytes', () => {
+            handler.mediaFiles.set('file1.jpg', new Uint8Array([1, 1]));
+            handler.mediaFiles.set('file2.jpg', new Uint8Array([2]));
+            handler.mediaFiles.set('file3.jpg', new Uint8Array([3]));
+            handler.mediaFiles.set('file4.jpg', new Uint8Array([4]));
+
+            handler.getMediaURL('file1.jpg'); // miss
+            handler.getMediaURL('file1.jpg'); // hit
+            handler.getMediaURL('file2.jpg'); // miss
+            handler.getMediaURL('file3.jpg'); // miss
+            handler.getMediaURL('file4.jpg'); // miss, evicts file1
+
+            const stats = handler.getCacheStats();
+            expect(stats.hits).toBe(1);
+            expect(stats.misses).toBe(4);
+            expect(stats.evictions).toBe(1);
+            expect(stats.cacheBytes).toBe(3);
+            expect(stats.maxCacheBytes).toBe(200 * 1024 * 1024);
+        });
     });
 
     describe('ZIP Loading', () => {
@@ -307,6 +395,19 @@ describe('ZipHandler', () => {
             expect(handler.hasMedia('missing.jpg')).toBe(false);
         });
 
+        it('should read media files as text', async () => {
+            expect(await handler.getMediaText('chat.txt')).toBeNull();
+            expect(await handler.getMediaText('missing.vcf')).toBeNull();
+            handler.mediaFiles.set('Bob.vcf', new TextEncoder().encode('BEGIN:VCARD'));
+            expect(await handler.getMediaText('Bob.vcf')).toBe('BEGIN:VCARD');
+        });
+
+        it('should read media files as bytes', async () => {
+            expect(await handler.getMediaData('missing.pdf')).toBeNull();
+            handler.mediaFiles.set('report.pdf', new Uint8Array([37, 80, 68, 70]));
+            expect(await handler.getMediaData('report.pdf')).toEqual(new Uint8Array([37, 80, 68, 70]));
+        });
+
         it('should return media list', () => {
             const list = handler.getMediaList();
             expect(list).toContain('photo.jpg');
@@ -346,7 +447,8 @@ describe('ZipHandler', () => {
 
         it('should warn when too many files are missing', () => {
             spyOn(console, 'warn'); // Suppress console.warn output
-            spyOn(window, 'alert'); // Suppress alert popup
+            spyOn(window, 'alert');
+            handler.onMissingFiles = jasmine.createSpy('onMissingFiles');
             
             // Add many missing files
             for (let i = 0; i < 10001; i++) {
@@ -354,20 +456,21 @@ describe('ZipHandler', () => {
             }
             
             expect(console.warn).toHaveBeenCalledWith(jasmine.stringContaining('10001'));
-            expect(window.alert).toHaveBeenCalledWith(jasmine.stringContaining('10001 media files are missing'));
+            expect(handler.onMissingFiles).toHaveBeenCalledWith(10001);
+            expect(window.alert).not.toHaveBeenCalled();
         });
 
-        it('should only alert once', () => {
+        it('should only report once', () => {
             spyOn(console, 'warn'); // Suppress console.warn output
-            spyOn(window, 'alert'); // Suppress alert popup
+            handler.onMissingFiles = jasmine.createSpy('onMissingFiles');
             
             // Add many missing files
             for (let i = 0; i < 10005; i++) {
                 handler.getMediaURL(`missing${i}.jpg`);
             }
             
-            // Only one alert despite multiple files over threshold
-            expect(window.alert).toHaveBeenCalledTimes(1);
+            // Only one report despite multiple files over threshold
+            expect(handler.onMissingFiles).toHaveBeenCalledTimes(1);
         });
 
         it('should not count missing files against LRU cache', () => {
@@ -394,6 +497,118 @@ describe('ZipHandler', () => {
         });
     });
 
+    describe('Streaming Mode', () => {
+        const encoder = new TextEncoder();
+        
+        beforeEach(() => {
+            handler = new ZipHandler({ maxCacheSize: 3, streaming: true });
+            window.fflate = { inflateSync: jasmine.createSpy('inflateSync') };
+        });
+
+        it('should read the chat and list media without reading media', async () => {
+            const zip = buildZip([
+                { name: 'WhatsApp/_chat.txt', data: encoder.encode('Chat content') },
+                { name: 'WhatsApp/IMG_001.jpg', data: new Uint8Array([1, 2, 3]) },
+                { name: 'WhatsApp/', data: new Uint8Array(0) }
+            ]);
+            
+            const result = await handler.loadZip(zip);
+            
+            expect(result.chatFound).toBe(true);
+            expect(result.chatFilename).toBe('_chat.txt');
+            expect(result.mediaFiles).toEqual(['IMG_001.jpg']);
+            expect(handler.getChatContent()).toBe('Chat content');
+            expect(handler.hasMedia('IMG_001.jpg')).toBe(true);
+            expect(handler.getMediaList()).toEqual(['IMG_001.jpg']);
+            expect(handler.urlCache.size).toBe(0);
+        });
+
+        it('should slice stored entries on demand', async () => {
+            await handler.loadZip(buildZip([
+                { name: 'photo.jpg', data: new Uint8Array([7, 8, 9]) }
+            ]));
+            
+            expect(handler.getMediaURL('photo.jpg')).toBeNull();
+            
+            const url = await handler.loadMediaURL('photo.jpg');
+            expect(url).toBe('data:application/octet-stream;base64,AA==');
+            
+            const blob = URL.createObjectURL.calls.mostRecent().args[0];
+            expect(blob.type).toBe('image/jpeg');
+            expect(new Uint8Array(await blob.arrayBuffer())).toEqual(new Uint8Array([7, 8, 9]));
+            
+            // Now cached for synchronous access
+            expect(handler.getMediaURL('photo.jpg')).toBe(url);
+            expect(handler.missingFiles.size).toBe(0);
+        });
+
+        it('should inflate deflated entries on demand', async () => {
+            window.fflate.inflateSync.and.returnValue(new Uint8Array([42]));
+            await handler.loadZip(buildZip([
+                { name: 'doc.pdf', data: new Uint8Array([5, 6]), method: 8 }
+            ]));
+            
+            expect(window.fflate.inflateSync).not.toHaveBeenCalled();
+            
+            await handler.loadMediaURL('doc.pdf');
+            
+            expect(window.fflate.inflateSync).toHaveBeenCalledWith(new Uint8Array([5, 6]));
+            const blob = URL.createObjectURL.calls.mostRecent().args[0];
+            expect(new Uint8Array(await blob.arrayBuffer())).toEqual(new Uint8Array([42]));
+        });
+
+        it('should read entries as text on demand', async () => {
+            await handler.loadZip(buildZip([
+                { name: 'Bob.vcf', data: encoder.encode('BEGIN:VCARD\nFN:Bob\nEND:VCARD') }
+            ]));
+            
+            expect(await handler.getMediaText('Bob.vcf')).toBe('BEGIN:VCARD\nFN:Bob\nEND:VCARD');
+            expect(handler.urlCache.size).toBe(0);
+        });
+
+        it('should share one read between concurrent requests', async () => {
+            await handler.loadZip(buildZip([
+                { name: 'photo.jpg', data: new Uint8Array([1]) }
+            ]));
+            
+            const [a, b] = await Promise.all([
+                handler.loadMediaURL('photo.jpg'),
+                handler.loadMediaURL('photo.jpg')
+            ]);
+            
+            expect(a).toBe(b);
+            expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+        });
+
+        it('should bound inflated entries by the LRU cache', async () => {
+            await handler.loadZip(buildZip([1, 2, 3, 4].map(n => ({
+                name: `file${n}.jpg`, data: new Uint8Array([n])
+            }))));
+            
+            for (const n of [1, 2, 3, 4]) {
+                await handler.loadMediaURL(`file${n}.jpg`);
+            }
+            
+            expect(handler.urlCache.size).toBe(3);
+            expect(handler.urlCache.has('file1.jpg')).toBe(false);
+            expect(URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+        });
+
+        it('should track missing files', async () => {
+            await handler.loadZip(buildZip([
+                { name: 'chat.txt', data: encoder.encode('Chat') }
+            ]));
+            
+            expect(await handler.loadMediaURL('missing.jpg')).toBeNull();
+            expect(handler.missingFiles.has('missing.jpg')).toBe(true);
+        });
+
+        it('should reject files that are not ZIP archives', async () => {
+            await expectAsync(handler.loadZip(new Blob(['not a zip at all'])))
+                .toBeRejectedWithError(/Failed to load ZIP: Not a ZIP archive/);
+        });
+    });
+
     describe('Error Handling', () => {
         it('should handle fflate not loaded', async () => {
             window.fflate = undefined;